@@ -0,0 +1,675 @@
+/* assets/i18n.js
+   NetThud UI message catalogue (en, tr) shared by index.html and article.html.
+
+   Language: ?lang=xx wins (and is remembered), then localStorage "netthud_lang", then the browser language.
+   Markup:   data-i18n="key" replaces textContent; data-i18n-placeholder / -aria / -title set those attributes.
+   Strings:  t("key", { n: 3 }) fills {n}; tn("key", n) picks "key_one" for 1 when the language has it.
+   Numbers:  fmtNumber / fmtPct follow the UI locale ("47%" in en, "%47" in tr).
+   Only UI chrome is translated; team names, headlines and AI text stay as the data has them. */
+
+const LANG_KEY = "netthud_lang";
+const LANGS = ["en", "tr"];
+
+const I18N = {
+  en: {
+    "lang.name": "English",
+    "lang.aria": "Language",
+    "brand.subtitle": "Goal Intelligence",
+    "hero.title": "At the moment it matters.",
+    "hero.lead": "Net Thud focuses on decisive outcomes and match context. Scores, upcoming fixtures + TV, transfers and AI-driven signals.",
+    "hero.noteLabel": "Note:",
+    "hero.note": "NetThud uses automated pipelines (including AI). Data may be delayed or incomplete. Always verify with official sources.",
+    "sound.label": "Sound:",
+    "sound.on": "ON",
+    "sound.off": "OFF",
+    "tz.aria": "Time zone",
+    "tz.local": "Local ({zone})",
+    "common.loading": "Loading…",
+    "common.updated": "{n} • updated {time}",
+    "common.refreshFailed": "{n} • refresh failed, retrying",
+    "common.vs": "vs",
+    "common.tba": "TBA",
+    "common.error": "error",
+    "link.gone": "That item is no longer in the feed",
+
+    "tab.liveScores": "Live scores",
+    "tab.myTeams": "My teams",
+    "tab.upcoming": "Upcoming + TV",
+    "tab.finalScores": "Final scores",
+    "tab.standings": "Standings",
+    "tab.transferSignals": "Transfer signals",
+    "tab.aiNews": "AI news",
+    "tab.leagues": "Leagues",
+    "tab.modelPerf": "Model performance",
+    "tabs.aria": "Sections",
+
+    "title.liveScores": "Live Scores",
+    "title.myTeams": "My teams",
+    "title.upcoming": "Upcoming + TV",
+    "title.finalScores": "Final Scores",
+    "title.standings": "Standings",
+    "title.transferSignals": "Transfer Signals",
+    "title.aiNews": "AI News",
+    "title.leagues": "Leagues",
+    "title.modelPerf": "Model Performance",
+
+    "sub.live": "Live",
+    "sub.upcoming": "Upcoming fixtures",
+    "sub.results": "Recent results",
+    "sub.signals": "Transfer signals",
+    "sub.notifications": "Notifications",
+    "sub.move": "Move to another device",
+
+    "btn.details": "Details",
+    "btn.shareX": "Share X",
+    "btn.copyLink": "Copy link",
+    "btn.highlights": "Highlights",
+    "btn.home": "Home",
+    "btn.close": "Close",
+    "btn.older": "‹ Older",
+    "btn.newer": "Newer ›",
+    "btn.showAll": "Show all",
+    "btn.back": "← Back",
+    "btn.export": "Export",
+    "btn.import": "Import",
+    "btn.addCalendar": "📅 Add to calendar",
+    "btn.readMore": "Read more →",
+    "footer.pages": "All pages",
+
+    "tag.live": "LIVE",
+    "tag.ht": "HT",
+    "tag.et": "ET",
+    "tag.pens": "PENS",
+    "tag.ft": "FT",
+    "tag.up": "UP",
+    "tag.err": "ERR",
+    "tag.empty": "EMPTY",
+    "tag.open": "OPEN",
+    "tag.ok": "OK",
+    "tag.off": "OFF",
+
+    "modal.details": "Details",
+    "modal.snapshot": "Snapshot",
+    "modal.timeline": "Timeline",
+    "modal.disclosure": "Disclosure",
+    "modal.disclosureText": "This view is generated automatically and may contain errors.\nIt is not official match or transfer confirmation.\nAlways verify with primary sources.",
+
+    "match.league": "League",
+    "match.when": "When",
+    "match.status": "Status",
+    "match.score": "Score",
+    "match.minute": "Minute",
+    "match.htScore": "HT score",
+    "match.penalties": "Penalties",
+    "match.hda": "H / D / A",
+    "match.over25": "Over 2.5",
+    "match.btts": "Both score",
+    "match.likelyScore": "Likely score",
+    "match.model": "Model",
+    "match.tv": "TV ({region})",
+    "match.home": "Home",
+    "match.away": "Away",
+    "match.ht": "HT {score}",
+    "match.md": "MD {n}",
+    "match.notes": "AI Match Notes",
+    "match.notes1": "- This is auto-generated from public match data + lightweight heuristics.",
+    "match.notes2": "- Treat as guidance, not official reporting.",
+    "match.watch": "What to watch",
+    "match.watchUpcoming": "- Confirm lineups ~60 minutes before kickoff.\n- Verify broadcaster by region.",
+    "match.watchLive": "- Live state can lag: verify time/cards via primary feeds.",
+    "match.watchFinal": "- Review turning points: first goal timing, cards, substitutions.",
+    "match.disclaimer": "Disclaimer",
+    "match.disclaimerText": "AI-generated; may contain errors or omissions.",
+
+    "live.none": "No live matches",
+    "live.noneFiltered": "No live matches in the selected leagues",
+    "live.checkBack": "Check back soon",
+    "scores.error": "Scores not loading",
+    "final.none": "No final scores yet",
+    "final.noneDay": "No archived results for this day",
+    "final.noneFiltered": "No results in the selected leagues",
+    "final.latest": "Latest",
+    "upcoming.none": "No upcoming fixtures",
+    "upcoming.noneFiltered": "No upcoming fixtures in the selected leagues",
+    "upcoming.error": "Upcoming not loading",
+    "upcoming.tvMeta": "TV ({region}): {tv}",
+    "region.aria": "TV region",
+    "region.option": "TV: {region}",
+
+    "signal.title": "Transfer signal",
+    "signal.source": "NetThud Signals",
+    "signal.summary": "AI Signal Summary",
+    "signal.stageLine": "- Stage: {stage}",
+    "signal.confLine": "- Confidence: {conf}",
+    "signal.disclaimerText": "Signals are probabilistic, AI-generated, and not confirmation of a transfer.",
+    "signal.stage": "Stage",
+    "signal.confidence": "Confidence",
+    "signal.sourceLabel": "Source",
+    "signal.time": "Time",
+    "signal.deal": "Deal",
+    "signal.sources": "Sources",
+    "signal.sourceCount": "{n} sources",
+    "signal.sourceCount_one": "{n} source",
+    "signal.tier": "Source tier",
+    "signal.author": "Author",
+    "signal.byline": "by {author}",
+    "signal.record": "{completed}/{closed} advanced calls completed",
+    "tier.official": "Official",
+    "tier.tier1": "Tier 1",
+    "tier.tier2": "Tier 2",
+    "tier.tier3": "Tier 3",
+    "tier.unknown": "Unrated",
+    "stage.advanced": "ADV",
+    "stage.contact": "CONTACT",
+    "stage.watch": "WATCH",
+    "saga.completed": "DONE",
+    "saga.collapsed": "OFF",
+    "saga.state": "Saga",
+    "saga.completedStep": "Completed",
+    "saga.collapsedStep": "Collapsed",
+    "saga.reopenedStep": "Back on",
+    "signals.none": "No transfer signals yet",
+    "signals.noneFiltered": "No transfer signals for the selected leagues",
+    "signals.error": "Transfer signals not loading",
+
+    "news.title": "News",
+    "news.label": "News-{n}",
+    "news.source": "NetThud AI",
+    "news.open": "Click to open the AI article.",
+    "news.context": "Context",
+    "news.contextText": "This item is generated by NetThud AI as a fast brief + a longer read format.",
+    "news.happened": "What happened",
+    "news.noSummary": "No summary provided yet.",
+    "news.matters": "Why it matters",
+    "news.mattersText": "This can influence prep, tactics, availability, and short-term attention around fixtures.",
+    "news.next": "What to watch next",
+    "news.nextText": "Look for primary-source confirmation and follow-on signals over the next 24–72 hours.",
+    "news.disclaimerText": "AI-generated summary; may contain errors.",
+    "news.none": "No AI news yet",
+    "news.error": "AI news not loading",
+
+    "leagues.selected": "{n} selected",
+    "leagues.all": "{n} • showing all",
+    "leagues.none": "No leagues yet",
+    "leagues.error": "Leagues not loading",
+    "leagues.league": "League",
+
+    "standings.aria": "Competition",
+    "standings.typeAria": "Table",
+    "standings.total": "Total",
+    "standings.home": "Home",
+    "standings.away": "Away",
+    "standings.none": "No table for this competition",
+    "standings.tryTotal": "Try the Total table.",
+    "standings.error": "Standings not loading",
+    "standings.team": "Team",
+    "standings.p": "P",
+    "standings.w": "W",
+    "standings.d": "D",
+    "standings.l": "L",
+    "standings.gf": "GF",
+    "standings.ga": "GA",
+    "standings.gd": "GD",
+    "standings.pts": "Pts",
+    "standings.form": "Form",
+
+    "model.metrics": "Brier {brier} • Log loss {logLoss} • Accuracy {acc}",
+    "model.meta": "{settled} settled • {pending} pending • updated {time}",
+    "model.none": "No settled predictions yet",
+    "model.noneHint": "Predictions are scored once their match is FINISHED.",
+    "model.overall": "Overall",
+    "model.model": "Model",
+    "model.competition": "Competition",
+    "model.reliability": "Reliability {range}",
+    "model.bucket": "Predicted {pred} • observed {obs} • {n} outcomes",
+    "model.error": "Model report not loading",
+
+    "team.title": "Team",
+    "team.position": "#{pos} {league} • {pts} pts",
+    "team.form": "Form {form}",
+    "team.notFound": "Team not found",
+    "team.notPlaying": "Not playing right now",
+    "team.noFixtures": "No fixtures in the next days",
+    "team.noResults": "No recent results",
+    "team.follow": "☆ Follow",
+    "team.following": "★ Following",
+
+    "fav.follow": "Follow {name}",
+    "fav.unfollow": "Unfollow {name}",
+    "fav.unfollowShort": "Unfollow",
+    "fav.hint": "Star a team on any match row",
+    "fav.count": "{n} followed",
+    "fav.nonePlaying": "None of your teams is playing",
+    "fav.noSignals": "No transfer signals mention your teams",
+    "fav.placeholder": "Export here, or paste an export and press Import",
+    "fav.copied": "Copied — paste it into My teams on the other device",
+    "fav.badImport": "That is not a My teams export",
+    "fav.imported_one": "Imported {n} team • {total} followed",
+    "fav.imported": "Imported {n} teams • {total} followed",
+
+    "event.goal": "GOAL! {line}",
+    "event.kickoff": "Kick-off • {line}",
+    "event.halftime": "Half-time • {line}",
+    "event.fulltime": "Full-time • {line}",
+    "event.more": " (+{n} more)",
+
+    "notify.kickoff": "Kick-off",
+    "notify.goal": "Goal for",
+    "notify.conceded": "Goal against",
+    "notify.fulltime": "Full-time",
+    "notify.advanced": "Transfer advanced",
+    "notify.turnOn": "Turn on notifications",
+    "notify.turnOff": "Turn off notifications",
+    "notify.unsupported": "This browser has no notifications",
+    "notify.denied": "Blocked in the browser settings",
+    "notify.on": "On for your followed teams",
+    "notify.off": "Off",
+
+    "offline.banner": "Offline — showing data from {time}",
+    "offline.earlier": "an earlier visit",
+
+    "rel.kickingOff": "kicking off",
+    "rel.inHM": "in {h}h {m}m",
+    "rel.inM": "in {m}m",
+    "rel.tomorrow": "tomorrow",
+    "rel.inDays": "in {n} days",
+    "rel.mAgo": "{n}m ago",
+    "rel.hAgo": "{n}h ago",
+    "rel.yesterday": "yesterday",
+    "rel.daysAgo": "{n} days ago",
+
+    "article.pageTitle": "Net Thud — AI News",
+    "article.backHome": "← Back to Home",
+    "article.head": "AI News Detail",
+    "article.notFoundBadge": "NOT FOUND",
+    "article.notFound": "Could not find this item in {file}.",
+    "article.notFoundHint": "Try going back and clicking the item again.",
+    "article.untitled": "Untitled",
+    "article.defaultMeta": "Net Thud AI News",
+    "article.tag": "AI NEWS",
+    "article.openSource": "Open source",
+    "article.errorBadge": "ERROR",
+    "article.failed": "Failed to load {file}.",
+    "article.failedHint": "Check your connection and try again; the data refreshes every 15 minutes.",
+    "article.headTransfer": "Transfer Signal",
+    "article.headMatch": "Match Report",
+    "article.attribution": "Originally reported by {source}.",
+    "article.attributionNone": "Compiled by NetThud from public match data.",
+    "article.player": "Player",
+    "article.from": "From",
+    "article.to": "To",
+    "article.fee": "Fee",
+    "article.venue": "Venue",
+    "article.related": "Related",
+    "article.relatedNone": "Nothing related right now.",
+    "article.share": "Share…",
+    "article.copied": "Link copied",
+    "article.backList": "Back to the list",
+  },
+
+  tr: {
+    "lang.name": "Türkçe",
+    "lang.aria": "Dil",
+    "brand.subtitle": "Gol Zekâsı",
+    "hero.title": "Tam önemli olduğu anda.",
+    "hero.lead": "Net Thud belirleyici sonuçlara ve maç bağlamına odaklanır. Skorlar, yaklaşan maçlar + TV, transferler ve yapay zekâ destekli sinyaller.",
+    "hero.noteLabel": "Not:",
+    "hero.note": "NetThud otomatik veri akışları (yapay zekâ dahil) kullanır. Veriler gecikmeli veya eksik olabilir. Her zaman resmî kaynaklardan doğrulayın.",
+    "sound.label": "Ses:",
+    "sound.on": "AÇIK",
+    "sound.off": "KAPALI",
+    "tz.aria": "Saat dilimi",
+    "tz.local": "Yerel ({zone})",
+    "common.loading": "Yükleniyor…",
+    "common.updated": "{n} • güncellendi {time}",
+    "common.refreshFailed": "{n} • yenilenemedi, tekrar deneniyor",
+    "common.vs": "-",
+    "common.tba": "Belli değil",
+    "common.error": "hata",
+    "link.gone": "Bu içerik artık akışta yok",
+
+    "tab.liveScores": "Canlı skorlar",
+    "tab.myTeams": "Takımlarım",
+    "tab.upcoming": "Yaklaşan + TV",
+    "tab.finalScores": "Maç sonuçları",
+    "tab.standings": "Puan durumu",
+    "tab.transferSignals": "Transfer sinyalleri",
+    "tab.aiNews": "YZ haberleri",
+    "tab.leagues": "Ligler",
+    "tab.modelPerf": "Model performansı",
+    "tabs.aria": "Bölümler",
+
+    "title.liveScores": "Canlı Skorlar",
+    "title.myTeams": "Takımlarım",
+    "title.upcoming": "Yaklaşan + TV",
+    "title.finalScores": "Maç Sonuçları",
+    "title.standings": "Puan Durumu",
+    "title.transferSignals": "Transfer Sinyalleri",
+    "title.aiNews": "YZ Haberleri",
+    "title.leagues": "Ligler",
+    "title.modelPerf": "Model Performansı",
+
+    "sub.live": "Canlı",
+    "sub.upcoming": "Yaklaşan maçlar",
+    "sub.results": "Son sonuçlar",
+    "sub.signals": "Transfer sinyalleri",
+    "sub.notifications": "Bildirimler",
+    "sub.move": "Başka bir cihaza taşı",
+
+    "btn.details": "Detaylar",
+    "btn.shareX": "X'te paylaş",
+    "btn.copyLink": "Bağlantıyı kopyala",
+    "btn.highlights": "Özetler",
+    "btn.home": "Ana sayfa",
+    "btn.close": "Kapat",
+    "btn.older": "‹ Daha eski",
+    "btn.newer": "Daha yeni ›",
+    "btn.showAll": "Tümünü göster",
+    "btn.back": "← Geri",
+    "btn.export": "Dışa aktar",
+    "btn.import": "İçe aktar",
+    "btn.addCalendar": "📅 Takvime ekle",
+    "btn.readMore": "Devamını oku →",
+    "footer.pages": "Tüm sayfalar",
+
+    "tag.live": "CANLI",
+    "tag.ht": "İY",
+    "tag.et": "UZ",
+    "tag.pens": "PEN",
+    "tag.ft": "MS",
+    "tag.up": "YAKINDA",
+    "tag.err": "HATA",
+    "tag.empty": "BOŞ",
+    "tag.open": "AÇ",
+    "tag.ok": "TAMAM",
+    "tag.off": "SAPMA",
+
+    "modal.details": "Detaylar",
+    "modal.snapshot": "Özet",
+    "modal.timeline": "Zaman çizelgesi",
+    "modal.disclosure": "Açıklama",
+    "modal.disclosureText": "Bu görünüm otomatik olarak üretilir ve hata içerebilir.\nResmî maç veya transfer teyidi değildir.\nHer zaman birincil kaynaklardan doğrulayın.",
+
+    "match.league": "Lig",
+    "match.when": "Zaman",
+    "match.status": "Durum",
+    "match.score": "Skor",
+    "match.minute": "Dakika",
+    "match.htScore": "İY skoru",
+    "match.penalties": "Penaltılar",
+    "match.hda": "1 / X / 2",
+    "match.over25": "2,5 üst",
+    "match.btts": "KG var",
+    "match.likelyScore": "Olası skor",
+    "match.model": "Model",
+    "match.tv": "TV ({region})",
+    "match.home": "Ev sahibi",
+    "match.away": "Deplasman",
+    "match.ht": "İY {score}",
+    "match.md": "{n}. hafta",
+    "match.notes": "YZ Maç Notları",
+    "match.notes1": "- Herkese açık maç verilerinden ve basit kurallardan otomatik üretilmiştir.",
+    "match.notes2": "- Resmî haber değil, yol gösterici bilgi olarak değerlendirin.",
+    "match.watch": "Nelere dikkat",
+    "match.watchUpcoming": "- İlk 11'leri başlama saatinden ~60 dakika önce kontrol edin.\n- Yayıncıyı bölgenize göre doğrulayın.",
+    "match.watchLive": "- Canlı veri gecikebilir: dakika ve kartları birincil kaynaklardan doğrulayın.",
+    "match.watchFinal": "- Kırılma anlarına bakın: ilk golün zamanı, kartlar, oyuncu değişiklikleri.",
+    "match.disclaimer": "Uyarı",
+    "match.disclaimerText": "Yapay zekâ tarafından üretildi; hata veya eksik içerebilir.",
+
+    "live.none": "Canlı maç yok",
+    "live.noneFiltered": "Seçili liglerde canlı maç yok",
+    "live.checkBack": "Birazdan tekrar bakın",
+    "scores.error": "Skorlar yüklenemedi",
+    "final.none": "Henüz maç sonucu yok",
+    "final.noneDay": "Bu gün için arşivlenmiş sonuç yok",
+    "final.noneFiltered": "Seçili liglerde sonuç yok",
+    "final.latest": "En yeni",
+    "upcoming.none": "Yaklaşan maç yok",
+    "upcoming.noneFiltered": "Seçili liglerde yaklaşan maç yok",
+    "upcoming.error": "Yaklaşan maçlar yüklenemedi",
+    "upcoming.tvMeta": "TV ({region}): {tv}",
+    "region.aria": "TV bölgesi",
+    "region.option": "TV: {region}",
+
+    "signal.title": "Transfer sinyali",
+    "signal.source": "NetThud Sinyalleri",
+    "signal.summary": "YZ Sinyal Özeti",
+    "signal.stageLine": "- Aşama: {stage}",
+    "signal.confLine": "- Güven: {conf}",
+    "signal.disclaimerText": "Sinyaller olasılığa dayalıdır, yapay zekâ tarafından üretilir ve transfer teyidi değildir.",
+    "signal.stage": "Aşama",
+    "signal.confidence": "Güven",
+    "signal.sourceLabel": "Kaynak",
+    "signal.time": "Zaman",
+    "signal.deal": "Transfer",
+    "signal.sources": "Kaynaklar",
+    "signal.sourceCount": "{n} kaynak",
+    "signal.tier": "Kaynak seviyesi",
+    "signal.author": "Yazar",
+    "signal.byline": "Yazar: {author}",
+    "signal.record": "{closed} ileri aşama iddiasından {completed} tanesi gerçekleşti",
+    "tier.official": "Resmî",
+    "tier.tier1": "1. seviye",
+    "tier.tier2": "2. seviye",
+    "tier.tier3": "3. seviye",
+    "tier.unknown": "Derecesiz",
+    "stage.advanced": "İLERİ",
+    "stage.contact": "TEMAS",
+    "stage.watch": "İZLEME",
+    "saga.completed": "TAMAM",
+    "saga.collapsed": "İPTAL",
+    "saga.state": "Süreç",
+    "saga.completedStep": "Tamamlandı",
+    "saga.collapsedStep": "Suya düştü",
+    "saga.reopenedStep": "Yeniden gündemde",
+    "signals.none": "Henüz transfer sinyali yok",
+    "signals.noneFiltered": "Seçili ligler için transfer sinyali yok",
+    "signals.error": "Transfer sinyalleri yüklenemedi",
+
+    "news.title": "Haber",
+    "news.label": "Haber-{n}",
+    "news.source": "NetThud YZ",
+    "news.open": "YZ makalesini açmak için tıklayın.",
+    "news.context": "Bağlam",
+    "news.contextText": "Bu içerik NetThud YZ tarafından kısa bir özet + uzun okuma biçiminde üretilmiştir.",
+    "news.happened": "Ne oldu",
+    "news.noSummary": "Henüz özet yok.",
+    "news.matters": "Neden önemli",
+    "news.mattersText": "Bu gelişme hazırlığı, taktiği, oyuncu durumunu ve maçlar öncesindeki ilgiyi etkileyebilir.",
+    "news.next": "Sırada ne var",
+    "news.nextText": "Önümüzdeki 24–72 saatte birincil kaynak teyidi ve yeni sinyaller arayın.",
+    "news.disclaimerText": "Yapay zekâ özeti; hata içerebilir.",
+    "news.none": "Henüz YZ haberi yok",
+    "news.error": "YZ haberleri yüklenemedi",
+
+    "leagues.selected": "{n} seçili",
+    "leagues.all": "{n} • tümü gösteriliyor",
+    "leagues.none": "Henüz lig yok",
+    "leagues.error": "Ligler yüklenemedi",
+    "leagues.league": "Lig",
+
+    "standings.aria": "Turnuva",
+    "standings.typeAria": "Tablo",
+    "standings.total": "Genel",
+    "standings.home": "İç saha",
+    "standings.away": "Deplasman",
+    "standings.none": "Bu turnuva için tablo yok",
+    "standings.tryTotal": "Genel tabloyu deneyin.",
+    "standings.error": "Puan durumu yüklenemedi",
+    "standings.team": "Takım",
+    "standings.p": "O",
+    "standings.w": "G",
+    "standings.d": "B",
+    "standings.l": "M",
+    "standings.gf": "AG",
+    "standings.ga": "YG",
+    "standings.gd": "AV",
+    "standings.pts": "P",
+    "standings.form": "Form",
+
+    "model.metrics": "Brier {brier} • Log kaybı {logLoss} • İsabet {acc}",
+    "model.meta": "{settled} sonuçlandı • {pending} bekliyor • güncellendi {time}",
+    "model.none": "Henüz sonuçlanan tahmin yok",
+    "model.noneHint": "Tahminler maçları BİTTİĞİNDE puanlanır.",
+    "model.overall": "Genel",
+    "model.model": "Model",
+    "model.competition": "Turnuva",
+    "model.reliability": "Güvenilirlik {range}",
+    "model.bucket": "Tahmin {pred} • gerçekleşen {obs} • {n} sonuç",
+    "model.error": "Model raporu yüklenemedi",
+
+    "team.title": "Takım",
+    "team.position": "{pos}. {league} • {pts} puan",
+    "team.form": "Form {form}",
+    "team.notFound": "Takım bulunamadı",
+    "team.notPlaying": "Şu anda oynamıyor",
+    "team.noFixtures": "Önümüzdeki günlerde maç yok",
+    "team.noResults": "Son sonuç yok",
+    "team.follow": "☆ Takip et",
+    "team.following": "★ Takip ediliyor",
+
+    "fav.follow": "{name} takip et",
+    "fav.unfollow": "{name} takibini bırak",
+    "fav.unfollowShort": "Takibi bırak",
+    "fav.hint": "Herhangi bir maç satırında takımı yıldızlayın",
+    "fav.count": "{n} takip ediliyor",
+    "fav.nonePlaying": "Takımlarınızdan hiçbiri oynamıyor",
+    "fav.noSignals": "Takımlarınızı anan transfer sinyali yok",
+    "fav.placeholder": "Dışa aktarım buraya gelir ya da bir dışa aktarımı yapıştırıp İçe aktar'a basın",
+    "fav.copied": "Kopyalandı — diğer cihazda Takımlarım'a yapıştırın",
+    "fav.badImport": "Bu bir Takımlarım dışa aktarımı değil",
+    "fav.imported": "{n} takım içe aktarıldı • {total} takip ediliyor",
+
+    "event.goal": "GOL! {line}",
+    "event.kickoff": "Başlama • {line}",
+    "event.halftime": "İlk yarı sonu • {line}",
+    "event.fulltime": "Maç sonu • {line}",
+    "event.more": " (+{n} daha)",
+
+    "notify.kickoff": "Başlama",
+    "notify.goal": "Attığı gol",
+    "notify.conceded": "Yediği gol",
+    "notify.fulltime": "Maç sonu",
+    "notify.advanced": "Transfer ilerledi",
+    "notify.turnOn": "Bildirimleri aç",
+    "notify.turnOff": "Bildirimleri kapat",
+    "notify.unsupported": "Bu tarayıcı bildirim desteklemiyor",
+    "notify.denied": "Tarayıcı ayarlarında engellenmiş",
+    "notify.on": "Takip ettiğiniz takımlar için açık",
+    "notify.off": "Kapalı",
+
+    "offline.banner": "Çevrimdışı — {time} tarihli veriler gösteriliyor",
+    "offline.earlier": "önceki bir ziyaret",
+
+    "rel.kickingOff": "başlıyor",
+    "rel.inHM": "{h} sa {m} dk sonra",
+    "rel.inM": "{m} dk sonra",
+    "rel.tomorrow": "yarın",
+    "rel.inDays": "{n} gün sonra",
+    "rel.mAgo": "{n} dk önce",
+    "rel.hAgo": "{n} sa önce",
+    "rel.yesterday": "dün",
+    "rel.daysAgo": "{n} gün önce",
+
+    "article.pageTitle": "Net Thud — YZ Haberleri",
+    "article.backHome": "← Ana sayfaya dön",
+    "article.head": "YZ Haber Detayı",
+    "article.notFoundBadge": "BULUNAMADI",
+    "article.notFound": "Bu içerik {file} içinde bulunamadı.",
+    "article.notFoundHint": "Geri dönüp içeriğe tekrar tıklamayı deneyin.",
+    "article.untitled": "Başlıksız",
+    "article.defaultMeta": "Net Thud YZ Haberleri",
+    "article.tag": "YZ HABER",
+    "article.openSource": "Kaynağı aç",
+    "article.errorBadge": "HATA",
+    "article.failed": "{file} yüklenemedi.",
+    "article.failedHint": "Bağlantınızı kontrol edip tekrar deneyin; veriler 15 dakikada bir yenilenir.",
+    "article.headTransfer": "Transfer Sinyali",
+    "article.headMatch": "Maç Raporu",
+    "article.attribution": "İlk olarak {source} tarafından duyuruldu.",
+    "article.attributionNone": "NetThud tarafından herkese açık maç verilerinden derlendi.",
+    "article.player": "Oyuncu",
+    "article.from": "Eski kulüp",
+    "article.to": "Yeni kulüp",
+    "article.fee": "Bonservis",
+    "article.venue": "Stat",
+    "article.related": "İlgili",
+    "article.relatedNone": "Şu an ilgili içerik yok.",
+    "article.share": "Paylaş…",
+    "article.copied": "Bağlantı kopyalandı",
+    "article.backList": "Listeye dön",
+  },
+};
+
+function getLang(){
+  const fromUrl = String(new URLSearchParams(location.search).get("lang") || "").toLowerCase();
+  if (LANGS.includes(fromUrl)) {
+    try{ localStorage.setItem(LANG_KEY, fromUrl); }catch{}
+    return fromUrl;
+  }
+  let stored = "";
+  try{ stored = localStorage.getItem(LANG_KEY) || ""; }catch{}
+  if (LANGS.includes(stored)) return stored;
+  return String(navigator.language || "").toLowerCase().startsWith("tr") ? "tr" : "en";
+}
+const LANG = getLang();
+
+/* switching reloads with ?lang= so every list, meta and shared link picks it up */
+function setLang(lang){
+  if (!LANGS.includes(lang)) return;
+  try{ localStorage.setItem(LANG_KEY, lang); }catch{}
+  const u = new URL(location.href);
+  u.searchParams.set("lang", lang);
+  location.replace(u.toString());
+}
+
+function uiLocale(){
+  const nav = String(navigator.language || "");
+  if (nav.toLowerCase().startsWith(LANG)) return nav;
+  return LANG === "tr" ? "tr-TR" : "en-US";
+}
+
+function t(key, vars){
+  const msg = (I18N[LANG] && I18N[LANG][key]) ?? I18N.en[key] ?? key;
+  if (!vars) return msg;
+  return msg.replace(/\{(\w+)\}/g, (m, k) => (vars[k] == null ? m : String(vars[k])));
+}
+function tn(key, n, vars = {}){
+  const dict = I18N[LANG] || I18N.en;
+  return t(n === 1 && dict[key + "_one"] ? key + "_one" : key, { n, ...vars });
+}
+
+function fmtNumber(n, digits = 0){
+  const x = Number(n);
+  if (!Number.isFinite(x)) return "—";
+  return new Intl.NumberFormat(uiLocale(), { minimumFractionDigits: digits, maximumFractionDigits: digits }).format(x);
+}
+function fmtPct(p, digits = 0){
+  const x = Number(p);
+  if (!Number.isFinite(x)) return "—";
+  return new Intl.NumberFormat(uiLocale(), { style: "percent", minimumFractionDigits: digits, maximumFractionDigits: digits }).format(x);
+}
+
+function applyI18n(root = document){
+  document.documentElement.lang = LANG;
+  root.querySelectorAll("[data-i18n]").forEach(el => { el.textContent = t(el.dataset.i18n); });
+  root.querySelectorAll("[data-i18n-placeholder]").forEach(el => { el.placeholder = t(el.dataset.i18nPlaceholder); });
+  root.querySelectorAll("[data-i18n-aria]").forEach(el => { el.setAttribute("aria-label", t(el.dataset.i18nAria)); });
+  root.querySelectorAll("[data-i18n-title]").forEach(el => { el.title = t(el.dataset.i18nTitle); });
+}
+
+/* <select> of LANGS wired to setLang */
+function fillLangSelect(sel){
+  if (!sel) return;
+  sel.innerHTML = "";
+  LANGS.forEach(l=>{
+    const o = document.createElement("option");
+    o.value = l;
+    o.textContent = l.toUpperCase() + " · " + I18N[l]["lang.name"];
+    if (l === LANG) o.selected = true;
+    sel.appendChild(o);
+  });
+  sel.setAttribute("aria-label", t("lang.aria"));
+  sel.onchange = () => setLang(sel.value);
+}
@@ -1,8 +1,14 @@
 import fs from "node:fs";
 import path from "node:path";
+import crypto from "node:crypto";
 
 const OUT_PATH = path.resolve("assets/data/ai-news.json");
 
+// stable id for permalinks (#d=news:...) and feed guids: hash of the url, else the title
+function newsId(url, title) {
+  return "news:" + crypto.createHash("sha1").update(url || title).digest("hex").slice(0, 16);
+}
+
 function readJsonSafe(filePath, fallback) {
   try {
     if (!fs.existsSync(filePath)) return fallback;
@@ -118,6 +124,7 @@ Rules:
   const cleaned = {
     updated: new Date().toISOString(),
     items: obj.items.slice(0, 30).map((x) => ({
+      id: newsId(String(x.url || "").trim(), String(x.title || "").trim()),
       title: String(x.title || "").trim(),
       source: String(x.source || "").trim(),
       date: String(x.date || "").slice(0, 10),
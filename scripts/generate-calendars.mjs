@@ -0,0 +1,251 @@
+// scripts/generate-calendars.mjs
+// Generates: assets/data/calendars/<CODE>.ics      (one per competition code, e.g. PL.ics)
+//            assets/data/calendars/team-<id>.ics   (one per team id, e.g. team-57.ics)
+//            assets/data/calendars/index.json      (event store + which calendars exist)
+//
+// Reads assets/data/upcoming.json (written by generate-upcoming.mjs). No network.
+// Run it right after generate-upcoming.mjs.
+//
+// Events:
+// - UID is match-<matchId>@<host>, so a calendar app that re-reads a feed replaces the
+//   event (new kick-off time, new TV) instead of adding a second one.
+// - DTSTART is kickoffUTC, DTEND is kick-off + 2h, LOCATION is the venue when known,
+//   DESCRIPTION has the competition and the TV channels per region.
+// - index.json keeps every event by matchId: fixtures that have kicked off stay in the
+//   feeds for NETTHUD_CALENDAR_KEEP_DAYS, future fixtures that dropped out of upcoming.json
+//   (postponed, moved out of the window) are removed so the feeds follow the current schedule.
+//
+// Env:
+//   NETTHUD_SITE_URL=https://netthud.com/     (default https://netthud.com/, host used in UIDs)
+//   NETTHUD_CALENDAR_KEEP_DAYS=30             (how long played fixtures stay in the feeds)
+//
+// Fail-safe behavior:
+// - Missing or unreadable upcoming.json: keep the existing calendars and exit 0.
+// - A calendar is never deleted: one with no fixtures left is written with no events.
+
+import fs from "node:fs";
+import path from "node:path";
+
+function env(name, fallback = "") {
+  const v = process.env[name];
+  return v == null || v === "" ? fallback : v;
+}
+function isoNow() { return new Date().toISOString(); }
+function ensureDir(p) { fs.mkdirSync(p, { recursive: true }); }
+function writeJson(filePath, data) {
+  ensureDir(path.dirname(filePath));
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2) + "\n", "utf8");
+}
+function readJsonIfExists(filePath) {
+  try {
+    if (!fs.existsSync(filePath)) return null;
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch { return null; }
+}
+function safeStr(x) { return x == null ? "" : String(x); }
+
+const MATCH_MS = 2 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ------------------------------
+// iCalendar text (RFC 5545)
+// ------------------------------
+function icsEscape(s) {
+  return safeStr(s)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// lines longer than 75 octets continue on the next line after a single space
+function foldLine(line) {
+  const bytes = Buffer.from(line, "utf8");
+  if (bytes.length <= 75) return line;
+  const out = [];
+  let chunk = "";
+  let size = 0;
+  for (const ch of line) {
+    const n = Buffer.byteLength(ch, "utf8");
+    if (size + n > (out.length ? 74 : 75)) {
+      out.push(chunk);
+      chunk = "";
+      size = 0;
+    }
+    chunk += ch;
+    size += n;
+  }
+  out.push(chunk);
+  return out.join("\r\n ");
+}
+
+function icsDate(ms) {
+  return new Date(ms).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function tvLines(tv) {
+  if (Array.isArray(tv)) return tv.length ? [`TV: ${tv.join(", ")}`] : [];
+  if (!tv || typeof tv !== "object") return [];
+  return Object.entries(tv)
+    .filter(([, ch]) => Array.isArray(ch) && ch.length)
+    .map(([region, ch]) => `TV (${region}): ${ch.join(", ")}`);
+}
+
+function eventFromItem(it) {
+  return {
+    matchId: it.matchId,
+    competitionCode: safeStr(it.competitionCode).toUpperCase(),
+    league: safeStr(it.league),
+    home: safeStr(it.home),
+    away: safeStr(it.away),
+    homeId: it.homeId ?? null,
+    awayId: it.awayId ?? null,
+    kickoffUTC: safeStr(it.kickoffUTC),
+    venue: safeStr(it.venue),
+    tv: it.tv || {},
+  };
+}
+
+function vevent(ev, host, stamp) {
+  const start = Date.parse(ev.kickoffUTC);
+  const description = [ev.league, ...tvLines(ev.tv), `https://${host}/#d=match:${ev.matchId}`]
+    .filter(Boolean).join("\n");
+  return [
+    "BEGIN:VEVENT",
+    `UID:match-${ev.matchId}@${host}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART:${icsDate(start)}`,
+    `DTEND:${icsDate(start + MATCH_MS)}`,
+    `SUMMARY:${icsEscape(`${ev.home} vs ${ev.away}`)}`,
+    ev.venue ? `LOCATION:${icsEscape(ev.venue)}` : "",
+    `DESCRIPTION:${icsEscape(description)}`,
+    `CATEGORIES:${icsEscape(ev.league || ev.competitionCode || "Football")}`,
+    "END:VEVENT",
+  ].filter(Boolean);
+}
+
+function calendarText(name, events, host, stamp) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//NetThud//Fixtures//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${icsEscape(`NetThud • ${name}`)}`,
+    "X-WR-TIMEZONE:UTC",
+    "REFRESH-INTERVAL;VALUE=DURATION:PT6H",
+    "X-PUBLISHED-TTL:PT6H",
+    ...events.flatMap(ev => vevent(ev, host, stamp)),
+    "END:VCALENDAR",
+  ];
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+// ------------------------------
+// Event store
+// ------------------------------
+function mergeEvents(prevEvents, items, keepDays) {
+  const now = Date.now();
+  const byId = new Map();
+
+  for (const ev of Object.values(prevEvents || {})) {
+    const start = Date.parse(ev?.kickoffUTC);
+    if (!Number.isFinite(start)) continue;
+    // already played: keep for a while; not played yet: only upcoming.json decides
+    if (start <= now && start > now - keepDays * DAY_MS) byId.set(String(ev.matchId), ev);
+  }
+  for (const it of items) {
+    if (it?.matchId == null || !Number.isFinite(Date.parse(it.kickoffUTC))) continue;
+    byId.set(String(it.matchId), eventFromItem(it));
+  }
+
+  return [...byId.values()].sort((a, b) => a.kickoffUTC.localeCompare(b.kickoffUTC));
+}
+
+function groupCalendars(events) {
+  const competitions = new Map(); // code -> { name, events }
+  const teams = new Map();        // id -> { name, events }
+  const add = (map, key, name, ev) => {
+    if (!map.has(key)) map.set(key, { name, events: [] });
+    map.get(key).events.push(ev);
+  };
+
+  for (const ev of events) {
+    if (ev.competitionCode) add(competitions, ev.competitionCode, ev.league || ev.competitionCode, ev);
+    if (ev.homeId != null) add(teams, String(ev.homeId), ev.home, ev);
+    if (ev.awayId != null) add(teams, String(ev.awayId), ev.away, ev);
+  }
+  return { competitions, teams };
+}
+
+function main() {
+  const dataDir = path.join(process.cwd(), "assets", "data");
+  const outDir = path.join(dataDir, "calendars");
+  const indexFile = path.join(outDir, "index.json");
+
+  const upcoming = readJsonIfExists(path.join(dataDir, "upcoming.json"));
+  if (!upcoming || !Array.isArray(upcoming.items)) {
+    console.warn("⚠️ No usable upcoming.json, keeping existing calendars");
+    process.exit(0);
+  }
+
+  const host = (() => {
+    try { return new URL(env("NETTHUD_SITE_URL", "https://netthud.com/")).host; }
+    catch { return "netthud.com"; }
+  })();
+  const keepDays = Math.max(0, Number(env("NETTHUD_CALENDAR_KEEP_DAYS", "30")) || 0);
+  const generatedAt = safeStr(upcoming.generatedAt) || isoNow();
+  const stamp = icsDate(Date.parse(generatedAt) || Date.now());
+
+  const prev = readJsonIfExists(indexFile);
+  const events = mergeEvents(prev?.events, upcoming.items, keepDays);
+  const { competitions, teams } = groupCalendars(events);
+
+  ensureDir(outDir);
+  const written = new Set(["index.json"]);
+  const write = (file, name, evs) => {
+    fs.writeFileSync(path.join(outDir, file), calendarText(name, evs, host, stamp), "utf8");
+    written.add(file);
+  };
+
+  const compIndex = {};
+  for (const [code, c] of competitions) {
+    const file = `${code}.ics`;
+    write(file, c.name, c.events);
+    compIndex[code] = { name: c.name, file, events: c.events.length };
+  }
+  const teamIndex = {};
+  for (const [id, t] of teams) {
+    const file = `team-${id}.ics`;
+    write(file, t.name, t.events);
+    teamIndex[id] = { name: t.name, file, events: t.events.length };
+  }
+
+  // calendars whose last fixture aged out (off-season, knocked out) stay as empty feeds:
+  // a 404 can make a subscribed calendar app drop the subscription
+  const known = new Set([
+    ...fs.readdirSync(outDir).filter(f => f.endsWith(".ics")),
+    ...Object.values(prev?.competitions || {}).map(c => safeStr(c?.file)),
+    ...Object.values(prev?.teams || {}).map(t => safeStr(t?.file)),
+  ]);
+  for (const file of known) {
+    if (!/^[\w-]+\.ics$/.test(file) || written.has(file)) continue;
+    const team = /^team-(.+)\.ics$/.exec(file);
+    const key = team ? team[1] : file.slice(0, -4);
+    const index = team ? teamIndex : compIndex;
+    const name = safeStr((team ? prev?.teams : prev?.competitions)?.[key]?.name) || key;
+    write(file, name, []);
+    index[key] = { name, file, events: 0 };
+  }
+
+  writeJson(indexFile, {
+    generatedAt,
+    keepDays,
+    competitions: compIndex,
+    teams: teamIndex,
+    events: Object.fromEntries(events.map(ev => [String(ev.matchId), ev])),
+  });
+  console.log(`Wrote ${Object.keys(compIndex).length} competition and ${Object.keys(teamIndex).length} team calendars (${events.length} events) -> ${outDir}`);
+}
+
+main();
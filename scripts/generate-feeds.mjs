@@ -0,0 +1,318 @@
+// scripts/generate-feeds.mjs
+// Generates: assets/data/feeds/transfers.rss.xml + transfers.atom.xml   (transfer signals)
+//            assets/data/feeds/news.rss.xml      + news.atom.xml        (AI news)
+//            assets/data/feeds/transfers-<CODE>.rss.xml / .atom.xml     (per league, optional)
+//
+// Reads assets/data/transfers.json and assets/data/ai-news.json. No network.
+// Run it after generate-transfers.mjs (the AI news workflow only touches ai-news.json;
+// the next scores pass picks it up).
+//
+// Items:
+// - guid / atom:id is the item id from the generator (transfer:<hash> / news:<hash>, a hash of
+//   the source url), so the same story keeps its id across runs and readers don't show it twice.
+//   Items from older files without an id get the same kind of hash here.
+// - Transfer descriptions carry stage + confidence; links go to the item's NetThud page
+//   (article.html?type=transfer|news&id=<id>; older files use the list index / slug, which
+//   article.html still resolves), the original source is in <source>/<link rel="related">.
+//
+// Per-league transfer feeds: a signal belongs to a league when its from/to club, or a club named
+// in its title/snippet, is in that league (teams from standings.json, scores.json, upcoming.json),
+// the same rule as the league chips on the site.
+//
+// Env:
+//   NETTHUD_SITE_URL=https://netthud.com/        (default https://netthud.com/)
+//   NETTHUD_FEED_ITEMS=50                        (default 50, 1..200)
+//   NETTHUD_FEED_LEAGUES=PL,PD,SA                (optional; "all" = every league with teams; empty = none)
+//                                                 a configured league with no teams gets an empty feed
+//
+// Fail-safe behavior:
+// - A missing or unreadable source file skips that feed and keeps the previous one.
+
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+
+function env(name, fallback = "") {
+  const v = process.env[name];
+  return v == null || v === "" ? fallback : v;
+}
+function ensureDir(p) { fs.mkdirSync(p, { recursive: true }); }
+function readJsonIfExists(filePath) {
+  try {
+    if (!fs.existsSync(filePath)) return null;
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch { return null; }
+}
+function safeStr(x) { return x == null ? "" : String(x); }
+function clampInt(n, min, max) {
+  const x = Number(n);
+  if (!Number.isFinite(x)) return min;
+  return Math.max(min, Math.min(max, Math.trunc(x)));
+}
+
+// ------------------------------
+// XML
+// ------------------------------
+function xmlEscape(s) {
+  return safeStr(s)
+    // characters XML 1.0 does not allow at all
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function validDate(v) {
+  const d = new Date(safeStr(v));
+  return Number.isFinite(d.getTime()) ? d : null;
+}
+
+function stableId(kind, key) {
+  return `${kind}:${crypto.createHash("sha1").update(safeStr(key)).digest("hex").slice(0, 16)}`;
+}
+
+function rssFeed({ title, description, siteUrl, selfUrl, updated, items }) {
+  const entries = items.map(it => [
+    "    <item>",
+    `      <title>${xmlEscape(it.title)}</title>`,
+    `      <link>${xmlEscape(it.link)}</link>`,
+    `      <guid isPermaLink="false">${xmlEscape(it.guid)}</guid>`,
+    it.date ? `      <pubDate>${it.date.toUTCString()}</pubDate>` : "",
+    `      <description>${xmlEscape(it.description)}</description>`,
+    ...(it.categories || []).map(c => `      <category>${xmlEscape(c)}</category>`),
+    it.sourceUrl ? `      <source url="${xmlEscape(it.sourceUrl)}">${xmlEscape(it.sourceName || it.sourceUrl)}</source>` : "",
+    "    </item>",
+  ].filter(Boolean).join("\n"));
+
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">`,
+    "  <channel>",
+    `    <title>${xmlEscape(title)}</title>`,
+    `    <link>${xmlEscape(siteUrl)}</link>`,
+    `    <description>${xmlEscape(description)}</description>`,
+    `    <atom:link href="${xmlEscape(selfUrl)}" rel="self" type="application/rss+xml"/>`,
+    `    <lastBuildDate>${updated.toUTCString()}</lastBuildDate>`,
+    ...entries,
+    "  </channel>",
+    "</rss>",
+    "",
+  ].join("\n");
+}
+
+function atomFeed({ title, description, siteUrl, selfUrl, updated, items }) {
+  const entries = items.map(it => [
+    "  <entry>",
+    `    <title>${xmlEscape(it.title)}</title>`,
+    `    <id>urn:netthud:${xmlEscape(it.guid)}</id>`,
+    `    <link rel="alternate" type="text/html" href="${xmlEscape(it.link)}"/>`,
+    it.sourceUrl ? `    <link rel="related" href="${xmlEscape(it.sourceUrl)}"/>` : "",
+    `    <updated>${(it.date || updated).toISOString()}</updated>`,
+    `    <author><name>${xmlEscape(it.sourceName || "NetThud")}</name></author>`,
+    ...(it.categories || []).map(c => `    <category term="${xmlEscape(c)}"/>`),
+    `    <summary>${xmlEscape(it.description)}</summary>`,
+    "  </entry>",
+  ].filter(Boolean).join("\n"));
+
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<feed xmlns="http://www.w3.org/2005/Atom">`,
+    `  <title>${xmlEscape(title)}</title>`,
+    `  <subtitle>${xmlEscape(description)}</subtitle>`,
+    `  <id>${xmlEscape(selfUrl.replace(/\.atom\.xml$/, ""))}</id>`,
+    `  <link rel="self" type="application/atom+xml" href="${xmlEscape(selfUrl)}"/>`,
+    `  <link rel="alternate" type="text/html" href="${xmlEscape(siteUrl)}"/>`,
+    `  <updated>${updated.toISOString()}</updated>`,
+    ...entries,
+    "</feed>",
+    "",
+  ].join("\n");
+}
+
+// ------------------------------
+// Items
+// ------------------------------
+function pct(n) {
+  const x = Number(n);
+  return Number.isFinite(x) ? `${Math.round(Math.max(0, Math.min(1, x)) * 100)}%` : "—";
+}
+
+function articleLink(siteUrl, type, id) {
+  return `${siteUrl}article.html?type=${type}&id=${encodeURIComponent(id)}`;
+}
+
+function transferItem(s, idx, siteUrl) {
+  const stage = safeStr(s.stage || s.status || "watch").toLowerCase();
+  const deal = [s.player, s.from && `from ${s.from}`, s.to && `to ${s.to}`, s.fee && `fee ${s.fee}`].filter(Boolean).join(" ");
+  const outlets = [...new Set((Array.isArray(s.sources) ? s.sources : []).map(x => safeStr(x.source)).filter(Boolean))];
+  const description = [
+    `Stage: ${stage.toUpperCase()} • Confidence: ${pct(s.confidence)}`,
+    deal,
+    safeStr(s.snippet),
+    outlets.length > 1 ? `Reported by ${outlets.join(", ")}` : "",
+    "AI-generated signal; may be incorrect.",
+  ].filter(Boolean).join("\n\n");
+
+  const id = safeStr(s.id) || stableId("transfer", s.url || s.title);
+  return {
+    title: safeStr(s.title) || "Transfer signal",
+    // older transfers.json without ids: the list index article.html still understands
+    link: articleLink(siteUrl, "transfer", s.id ? id : `signal-${idx}`),
+    guid: id,
+    date: validDate(s.publishedAt),
+    description,
+    categories: ["Transfers", stage, ...[s.from, s.to].filter(Boolean).map(safeStr)],
+    sourceUrl: safeStr(s.url),
+    sourceName: safeStr(s.source),
+  };
+}
+
+function newsItem(n, idx, siteUrl) {
+  const hasId = safeStr(n.id).startsWith("news:");
+  const id = hasId ? safeStr(n.id) : stableId("news", n.url || n.title);
+  return {
+    title: safeStr(n.title) || `News-${idx + 1}`,
+    // older ai-news.json items (no news:<hash> id) open by their own id or list position
+    link: articleLink(siteUrl, "news", hasId ? id : safeStr(n.id) || `news-${idx + 1}`),
+    guid: id,
+    date: validDate(n.createdAt || n.publishedAt || n.date),
+    description: [safeStr(n.summary || n.short), "AI-generated summary; may contain errors."].filter(Boolean).join("\n\n"),
+    categories: Array.isArray(n.tags) ? n.tags.map(safeStr).filter(Boolean) : [],
+    sourceUrl: safeStr(n.url),
+    sourceName: safeStr(n.source) || "NetThud AI",
+  };
+}
+
+// ------------------------------
+// League membership (mirrors leagueTeams / signalMentions in index.html)
+// ------------------------------
+function normClub(s) {
+  return safeStr(s).toLowerCase()
+    .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+    .replace(/\b(fc|cf|afc|sc|ac|as|ssc|sk|ss)\b/g, " ")
+    .replace(/[^a-z0-9 ]/g, " ")
+    .replace(/\s+/g, " ").trim();
+}
+
+function leagueTeams(dataDir) {
+  const map = new Map(); // code -> { name, teams:Set }
+  const add = (code, league, name) => {
+    const c = safeStr(code).toUpperCase();
+    const n = normClub(name);
+    if (!c || n.length < 4) return;
+    if (!map.has(c)) map.set(c, { name: safeStr(league) || c, teams: new Set() });
+    map.get(c).teams.add(n);
+  };
+
+  const standings = readJsonIfExists(path.join(dataDir, "standings.json"));
+  for (const c of standings?.items || []) {
+    for (const r of c?.tables?.TOTAL || []) {
+      add(c.competitionCode, c.league, r?.team?.name);
+      add(c.competitionCode, c.league, r?.team?.shortName);
+    }
+  }
+  for (const file of ["scores.json", "upcoming.json"]) {
+    for (const m of readJsonIfExists(path.join(dataDir, file))?.items || []) {
+      add(m.competitionCode, m.league, m.home);
+      add(m.competitionCode, m.league, m.away);
+    }
+  }
+  return map;
+}
+
+function signalMentions(s, names) {
+  if (!names || !names.size) return false;
+  if ([s.from, s.to].some(c => names.has(normClub(c)))) return true;
+  const reports = Array.isArray(s.sources) ? s.sources.map(x => x.title).join(" ") : "";
+  const text = " " + normClub(`${s.title || ""} ${s.snippet || ""} ${reports}`) + " ";
+  for (const n of names) if (text.includes(" " + n + " ")) return true;
+  return false;
+}
+
+// ------------------------------
+// Main
+// ------------------------------
+function writeFeedPair(outDir, base, feed, written) {
+  const rssName = `${base}.rss.xml`;
+  const atomName = `${base}.atom.xml`;
+  fs.writeFileSync(path.join(outDir, rssName), rssFeed({ ...feed, selfUrl: feed.feedBase + rssName }), "utf8");
+  fs.writeFileSync(path.join(outDir, atomName), atomFeed({ ...feed, selfUrl: feed.feedBase + atomName }), "utf8");
+  written.add(rssName);
+  written.add(atomName);
+}
+
+function main() {
+  const dataDir = path.join(process.cwd(), "assets", "data");
+  const outDir = path.join(dataDir, "feeds");
+  const siteUrl = env("NETTHUD_SITE_URL", "https://netthud.com/").replace(/\/?$/, "/");
+  const feedBase = siteUrl + "assets/data/feeds/";
+  const limit = clampInt(env("NETTHUD_FEED_ITEMS", "50"), 1, 200);
+  const leaguesWanted = env("NETTHUD_FEED_LEAGUES", "").split(",").map(s => s.trim().toUpperCase()).filter(c => /^[A-Z0-9]+$/.test(c));
+
+  ensureDir(outDir);
+  const written = new Set();
+
+  const transfers = readJsonIfExists(path.join(dataDir, "transfers.json"));
+  if (transfers && Array.isArray(transfers.items)) {
+    const updated = validDate(transfers.generatedAt) || new Date();
+    const all = transfers.items.map((s, i) => ({ s, item: transferItem(s, i, siteUrl) }));
+    const common = { siteUrl: siteUrl + "#t=transferSignals", feedBase, updated };
+
+    writeFeedPair(outDir, "transfers", {
+      ...common,
+      title: "NetThud • Transfer signals",
+      description: "AI-scored transfer signals (stage + confidence) from public headlines.",
+      items: all.slice(0, limit).map(x => x.item),
+    }, written);
+
+    if (leaguesWanted.length) {
+      const leagues = leagueTeams(dataDir);
+      // a configured league with no teams this run (off-season, no rows yet) still gets an empty
+      // feed: a 404 can make a reader drop the subscription. With "all", every league that ever
+      // had a feed stays configured.
+      const existing = fs.readdirSync(outDir)
+        .map(f => /^transfers-([A-Z0-9]+)\.(rss|atom)\.xml$/.exec(f)?.[1]).filter(Boolean);
+      const codes = leaguesWanted.includes("ALL") ? [...new Set([...leagues.keys(), ...existing])] : leaguesWanted;
+      for (const code of codes) {
+        const { name, teams } = leagues.get(code) || { name: code, teams: new Set() };
+        writeFeedPair(outDir, `transfers-${code}`, {
+          ...common,
+          title: `NetThud • Transfer signals • ${name}`,
+          description: `AI-scored transfer signals mentioning ${name} clubs.`,
+          items: all.filter(x => signalMentions(x.s, teams)).slice(0, limit).map(x => x.item),
+        }, written);
+      }
+    }
+    console.log(`Wrote transfer feeds (${Math.min(all.length, limit)} items)`);
+  } else {
+    console.warn("⚠️ No usable transfers.json, keeping previous transfer feeds");
+    for (const f of fs.readdirSync(outDir)) if (f.startsWith("transfers")) written.add(f);
+  }
+
+  const news = readJsonIfExists(path.join(dataDir, "ai-news.json"));
+  if (news && Array.isArray(news.items)) {
+    const items = news.items.slice(0, limit).map((n, i) => newsItem(n, i, siteUrl));
+    writeFeedPair(outDir, "news", {
+      siteUrl: siteUrl + "#t=aiNews",
+      feedBase,
+      updated: validDate(news.generatedAt || news.updatedAt || news.updated) || new Date(),
+      title: "NetThud • AI news",
+      description: "Short AI-written football briefs from NetThud.",
+      items,
+    }, written);
+    console.log(`Wrote news feeds (${items.length} items)`);
+  } else {
+    console.warn("⚠️ No usable ai-news.json, keeping previous news feeds");
+    for (const f of fs.readdirSync(outDir)) if (f.startsWith("news")) written.add(f);
+  }
+
+  // league feeds that are no longer configured
+  for (const f of fs.readdirSync(outDir)) {
+    if (f.endsWith(".xml") && !written.has(f)) fs.unlinkSync(path.join(outDir, f));
+  }
+  console.log(`Feeds -> ${outDir}`);
+}
+
+main();
@@ -1,29 +1,274 @@
 // scripts/generate-live.mjs
-// DEMO generator for assets/data/scores.json (UI-compatible)
-// Safe for when football-data.org is rate-limited.
+// Updates: assets/data/scores.json (live rows only)
 //
-// Output shape matches what index.html expects:
-// {
-//   updated: ISO,
-//   items: [{ home, away, league, status, when, kickoffUTC, score, highlightsUrl }]
-// }
+// Uses football-data.org (requires API token)
+// Env:
+//   NETTHUD_SCORES_API_TOKEN=xxxxxxxx
+//   NETTHUD_SCORES_COMP_CODES=PL,PD,SA,BL1,FL1,CL,EL,TSL (optional override; same list as generate-scores.mjs)
+//   NETTHUD_LIVE_MODE=live|demo   (default live; demo writes the fake payload below)
+//
+// Merge behavior:
+// - Reads the existing scores.json (written by generate-scores.mjs)
+// - Replaces/inserts in-play matches by matchId (minute, score, HT score, status)
+// - Rows that were live in the cache and are now FINISHED get their final state
+// - Everything else (finished matches) is kept untouched
+//
+// Fail-safe behavior:
+// - On 429/temporary errors: keep existing scores.json as-is and exit 0
+// - Demo payload is ONLY written when NETTHUD_LIVE_MODE=demo
 
-import fs from "node:fs/promises";
+import fs from "node:fs";
+import path from "node:path";
+
+function env(name, fallback = "") {
+  const v = process.env[name];
+  return v == null || v === "" ? fallback : v;
+}
 
 function isoNow() {
   return new Date().toISOString();
 }
 
-function fmtWhen(utcISO) {
-  // keep it simple for UI: YYYY-MM-DD or ISO slice
-  return utcISO ? utcISO.slice(0, 10) : "";
+function ensureDir(p) {
+  fs.mkdirSync(p, { recursive: true });
+}
+
+function writeJson(filePath, data) {
+  ensureDir(path.dirname(filePath));
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2) + "\n", "utf8");
+}
+
+function readJsonIfExists(filePath) {
+  try {
+    if (!fs.existsSync(filePath)) return null;
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function safeStr(x) {
+  return x == null ? "" : String(x);
+}
+
+function yyyyMmDdUTC(d) {
+  return d.toISOString().slice(0, 10);
+}
+
+function utcMidnight(dateObj) {
+  return new Date(Date.UTC(dateObj.getUTCFullYear(), dateObj.getUTCMonth(), dateObj.getUTCDate()));
+}
+
+// Same env + defaults as generate-scores.mjs: both scripts write scores.json
+function parseCompAllowlistWithOrder() {
+  const raw = env("NETTHUD_SCORES_COMP_CODES", "").trim();
+  if (raw) {
+    const ordered = raw.split(",").map(s => s.trim().toUpperCase()).filter(Boolean);
+    return { set: new Set(ordered), ordered };
+  }
+
+  // Defaults include Turkey + Europa
+  const ordered = ["PL", "PD", "SA", "BL1", "FL1", "DED", "PPL", "TSL", "CL", "EL"];
+  return { set: new Set(ordered), ordered };
+}
+
+function sleep(ms) {
+  return new Promise(r => setTimeout(r, ms));
+}
+
+function parseRetryAfterMs(res) {
+  const ra = res.headers.get("retry-after");
+  if (!ra) return 0;
+
+  const asNum = Number(ra);
+  if (Number.isFinite(asNum) && asNum >= 0) return asNum * 1000;
+
+  const asDate = Date.parse(ra);
+  if (Number.isFinite(asDate)) {
+    const delta = asDate - Date.now();
+    return delta > 0 ? delta : 0;
+  }
+  return 0;
+}
+
+async function fetchFD(url, token, { retries = 2 } = {}) {
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    const res = await fetch(url, { headers: { "X-Auth-Token": token } });
+
+    if (res.ok) return res.json();
+
+    const status = res.status;
+    const body = await res.text().catch(() => "");
+    const msg = `football-data HTTP ${status} ${res.statusText} :: ${body.slice(0, 200)}`;
+
+    const retryable = status === 429 || (status >= 500 && status <= 599);
+    if (!retryable || attempt === retries) {
+      const err = new Error(msg);
+      err.status = status;
+      throw err;
+    }
+
+    const raMs = parseRetryAfterMs(res);
+    const backoff = Math.max(raMs, 900 * Math.pow(2, attempt));
+    console.warn(`⚠️ ${msg}`);
+    console.warn(`↻ retrying in ${backoff}ms (attempt ${attempt + 1}/${retries})`);
+    await sleep(backoff);
+  }
+}
+
+// ------------------------------
+// Live match normalization
+// ------------------------------
+const LIVE_STATUSES = new Set(["IN_PLAY", "PAUSED", "EXTRA_TIME", "PENALTY_SHOOTOUT", "LIVE", "HT"]);
+const FINAL_STATUSES = new Set(["FINISHED", "FT", "AWARDED"]);
+
+function pairStr(o) {
+  const h = o?.home;
+  const a = o?.away;
+  return Number.isFinite(h) && Number.isFinite(a) ? `${h}–${a}` : "";
+}
+
+function liveScoreFromMatch(m) {
+  // While in play, football-data keeps the running score in fullTime.
+  const score = m?.score || {};
+  return pairStr(score.fullTime) || pairStr(score.regularTime) || pairStr(score.halfTime);
 }
 
+function estimateMinute(kickoffUTC, status) {
+  const t = Date.parse(kickoffUTC);
+  if (!Number.isFinite(t)) return null;
+
+  const elapsed = Math.floor((Date.now() - t) / 60000);
+  if (elapsed < 0) return null;
+  if (status === "PAUSED") return 45;
+
+  // Assume a ~15 minute half-time break once past the first half.
+  if (elapsed <= 47) return Math.max(1, elapsed);
+  if (elapsed < 62) return 45;
+  return Math.min(120, elapsed - 15);
+}
+
+function liveWhen(status, minute) {
+  if (status === "PAUSED") return "HT";
+  if (status === "PENALTY_SHOOTOUT") return "PENS";
+  if (minute == null) return "LIVE";
+  return status === "EXTRA_TIME" ? `ET • ${minute}'` : `LIVE • ${minute}'`;
+}
+
+function normalizeLiveMatch(m) {
+  const league = safeStr(m?.competition?.name || "");
+  const code = safeStr(m?.competition?.code || "").toUpperCase();
+  const kickoffUTC = safeStr(m?.utcDate || "");
+  const status = safeStr(m?.status || "").toUpperCase();
+
+  const home = safeStr(m?.homeTeam?.shortName || m?.homeTeam?.name || "");
+  const away = safeStr(m?.awayTeam?.shortName || m?.awayTeam?.name || "");
+
+  const apiMinute = Number(m?.minute);
+  const minute = Number.isFinite(apiMinute) && apiMinute > 0
+    ? apiMinute
+    : estimateMinute(kickoffUTC, status);
+  const injuryTime = Number.isFinite(Number(m?.injuryTime)) ? Number(m.injuryTime) : null;
+
+  const item = {
+    matchId: m?.id ?? null,
+    id: m?.id != null ? `match:${m.id}` : "",
+    league,
+    competitionCode: code,
+    when: kickoffUTC ? kickoffUTC.slice(0, 10) : "",
+    kickoffUTC,
+    status,
+    home,
+    away,
+    homeId: m?.homeTeam?.id ?? null,
+    awayId: m?.awayTeam?.id ?? null,
+    score: liveScoreFromMatch(m),
+    highlightsUrl: ""
+  };
+
+  if (LIVE_STATUSES.has(status)) {
+    item.when = liveWhen(status, minute);
+    item.minute = minute;
+    item.injuryTime = injuryTime;
+    item.halfTimeScore = pairStr(m?.score?.halfTime);
+    const pens = pairStr(m?.score?.penalties);
+    if (pens) item.penalties = pens;
+  }
+
+  return item;
+}
+
+// ------------------------------
+// Merge into existing scores.json
+// ------------------------------
+function mergeLiveIntoScores(existing, fetchedById, allowedCodes) {
+  // Demo rows have no matchId and would never be replaced: drop them.
+  const prevItems = existing?.mode !== "demo" && Array.isArray(existing?.items) ? existing.items : [];
+  const out = [];
+  const seen = new Set();
+
+  for (const it of prevItems) {
+    const id = it?.matchId;
+    if (id == null) {
+      out.push(it);
+      continue;
+    }
+    seen.add(id);
+
+    const fresh = fetchedById.get(id);
+    const wasLive = LIVE_STATUSES.has(safeStr(it.status).toUpperCase());
+    const nowLive = fresh && LIVE_STATUSES.has(fresh.status);
+    const nowFinal = fresh && FINAL_STATUSES.has(fresh.status);
+
+    if (nowLive) {
+      out.push({ ...it, ...fresh });
+    } else if (wasLive && nowFinal) {
+      const { minute, injuryTime, ...rest } = { ...it, ...fresh };
+      out.push(rest);
+    } else {
+      out.push(it);
+    }
+  }
+
+  for (const [id, fresh] of fetchedById) {
+    if (seen.has(id) || !LIVE_STATUSES.has(fresh.status)) continue;
+    const code = safeStr(fresh.competitionCode).toUpperCase();
+    if (code && !allowedCodes.has(code)) continue;
+    out.push(fresh);
+  }
+
+  return out.sort((a, b) => safeStr(b.kickoffUTC).localeCompare(safeStr(a.kickoffUTC)));
+}
+
+async function fetchLiveMatches() {
+  const token = env("NETTHUD_SCORES_API_TOKEN");
+  if (!token) throw new Error("Missing env: NETTHUD_SCORES_API_TOKEN");
+
+  // Yesterday..tomorrow so late kick-offs across midnight UTC still resolve,
+  // and matches that just finished can close out their cached live rows.
+  const now = new Date();
+  const start = utcMidnight(new Date(now.getTime() - 24 * 60 * 60 * 1000));
+  const end = utcMidnight(new Date(now.getTime() + 24 * 60 * 60 * 1000));
+
+  const url = `https://api.football-data.org/v4/matches?dateFrom=${yyyyMmDdUTC(start)}&dateTo=${yyyyMmDdUTC(end)}`;
+  const json = await fetchFD(url, token, { retries: 2 });
+  const matches = Array.isArray(json?.matches) ? json.matches : [];
+
+  const byId = new Map();
+  for (const m of matches) {
+    if (m?.id == null) continue;
+    byId.set(m.id, normalizeLiveMatch(m));
+  }
+  return byId;
+}
+
+// ------------------------------
+// DEMO mode (explicit only)
+// ------------------------------
 function demoScores() {
   const now = new Date();
   const minute = (now.getUTCMinutes() % 90) + 1;
 
-  // Fake kickoff times so sorting works nicely
   const t0 = new Date(now.getTime() - 20 * 60 * 1000).toISOString();
   const t1 = new Date(now.getTime() - 35 * 60 * 1000).toISOString();
   const t2 = new Date(now.getTime() - 60 * 60 * 1000).toISOString();
@@ -35,8 +280,10 @@ function demoScores() {
       league: "Premier League",
       home: "Arsenal",
       away: "Liverpool",
-      status: "LIVE",
+      status: "IN_PLAY",
       score: "1–0",
+      halfTimeScore: "1–0",
+      minute,
       kickoffUTC: t0,
       when: `LIVE • ${minute}'`,
       highlightsUrl: ""
@@ -45,8 +292,10 @@ function demoScores() {
       league: "La Liga",
       home: "Real Madrid",
       away: "Barcelona",
-      status: "LIVE",
+      status: "IN_PLAY",
       score: "0–0",
+      halfTimeScore: "",
+      minute: Math.max(1, minute - 7),
       kickoffUTC: t1,
       when: `LIVE • ${Math.max(1, minute - 7)}'`,
       highlightsUrl: ""
@@ -55,8 +304,10 @@ function demoScores() {
       league: "Süper Lig",
       home: "Fenerbahçe",
       away: "Galatasaray",
-      status: "HT",
+      status: "PAUSED",
       score: "1–1",
+      halfTimeScore: "1–1",
+      minute: 45,
       kickoffUTC: t2,
       when: "HT",
       highlightsUrl: ""
@@ -65,8 +316,10 @@ function demoScores() {
       league: "Bundesliga",
       home: "Bayern Munich",
       away: "Borussia Dortmund",
-      status: "LIVE",
+      status: "IN_PLAY",
       score: "1–1",
+      halfTimeScore: "0–1",
+      minute: Math.max(1, minute - 33),
       kickoffUTC: t3,
       when: `LIVE • ${Math.max(1, minute - 33)}'`,
       highlightsUrl: ""
@@ -75,31 +328,64 @@ function demoScores() {
       league: "Ligue 1",
       home: "PSG",
       away: "Marseille",
-      status: "FT",
+      status: "FINISHED",
       score: "3–2",
       kickoffUTC: t4,
-      when: fmtWhen(t4),
+      when: t4.slice(0, 10),
       highlightsUrl: ""
     }
   ];
 }
 
 async function main() {
-  const items = demoScores();
+  const outFile = path.join(process.cwd(), "assets", "data", "scores.json");
+  const mode = env("NETTHUD_LIVE_MODE", "live").toLowerCase();
 
-  const out = {
-    updated: isoNow(),
-    mode: "demo",
-    items
-  };
+  if (mode === "demo") {
+    const items = demoScores();
+    writeJson(outFile, { updated: isoNow(), mode: "demo", items });
+    console.log(`✔ wrote ${outFile} (${items.length} demo matches)`);
+    return;
+  }
+  if (mode !== "live") {
+    throw new Error(`Unsupported NETTHUD_LIVE_MODE="${mode}". Use "live" or "demo".`);
+  }
+
+  const { set: allowedCodes } = parseCompAllowlistWithOrder();
+  const cached = readJsonIfExists(outFile);
 
-  await fs.mkdir("assets/data", { recursive: true });
-  await fs.writeFile("assets/data/scores.json", JSON.stringify(out, null, 2) + "\n", "utf8");
+  try {
+    const fetchedById = await fetchLiveMatches();
+    const items = mergeLiveIntoScores(cached, fetchedById, allowedCodes);
+    const liveCount = items.filter(m => LIVE_STATUSES.has(safeStr(m.status).toUpperCase())).length;
+
+    const payload = {
+      ...(cached || {}),
+      updated: isoNow(),
+      liveUpdated: isoNow(),
+      items
+    };
+    if (payload.mode === "demo") delete payload.mode;
+
+    writeJson(outFile, payload);
+    console.log(`Wrote ${outFile} (${liveCount} live / ${items.length} items)`);
+  } catch (err) {
+    const status = err?.status;
+    const isTemporary = status === 429 || (status >= 500 && status <= 599);
+
+    if (isTemporary) {
+      console.warn(`⚠️ Live update failed, ${cached ? "keeping cached" : "no cached"} scores.json and exiting 0`);
+      console.warn(String(err?.message || err));
+      process.exit(0);
+    }
 
-  console.log(`✔ wrote assets/data/scores.json (${items.length} matches)`);
+    console.error("❌ Live update failed (non-retryable).");
+    console.error(String(err?.message || err));
+    process.exit(1);
+  }
 }
 
 main().catch((err) => {
   console.error(err);
   process.exit(1);
-});
\ No newline at end of file
+});
@@ -0,0 +1,166 @@
+// scripts/generate-model-report.mjs
+// Generates: assets/data/model-report.json
+//
+// Reads assets/data/predictions.json (pre-kickoff H/D/A stored by generate-upcoming.mjs,
+// settled with the final result by generate-scores.mjs) and scores the settled ones:
+//   - Brier score (3-way, 0 = perfect, 2 = worst)
+//   - Log loss (natural log of the probability given to what happened)
+//   - Accuracy (most likely outcome == actual outcome)
+//   - Reliability buckets (predicted probability vs observed frequency, 10% wide)
+// Overall, per competition and per model version, so model changes can be compared.
+//
+// No network, no env. Safe to run on every pipeline pass.
+
+import fs from "node:fs";
+import path from "node:path";
+
+function isoNow() {
+  return new Date().toISOString();
+}
+
+function ensureDir(p) {
+  fs.mkdirSync(p, { recursive: true });
+}
+
+function writeJson(filePath, data) {
+  ensureDir(path.dirname(filePath));
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2) + "\n", "utf8");
+}
+
+function readJsonIfExists(filePath) {
+  try {
+    if (!fs.existsSync(filePath)) return null;
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function safeStr(x) {
+  return x == null ? "" : String(x);
+}
+
+const OUTCOMES = ["H", "D", "A"];
+const BUCKETS = 10;
+const EPS = 1e-6;
+
+function r4(n) {
+  return Math.round(n * 10000) / 10000;
+}
+
+function probsOf(p) {
+  const h = Number(p?.hda?.home);
+  const d = Number(p?.hda?.draw);
+  const a = Number(p?.hda?.away);
+  if (![h, d, a].every(Number.isFinite)) return null;
+  const s = h + d + a;
+  return s > 0 ? { H: h / s, D: d / s, A: a / s } : null;
+}
+
+function emptyAcc() {
+  return { n: 0, brier: 0, logLoss: 0, correct: 0 };
+}
+
+function addToAcc(acc, probs, outcome) {
+  acc.n++;
+  acc.brier += OUTCOMES.reduce((sum, o) => sum + Math.pow(probs[o] - (o === outcome ? 1 : 0), 2), 0);
+  acc.logLoss += -Math.log(Math.max(EPS, probs[outcome]));
+
+  const pick = OUTCOMES.reduce((best, o) => (probs[o] > probs[best] ? o : best), "H");
+  if (pick === outcome) acc.correct++;
+}
+
+function summarize(acc) {
+  if (!acc.n) return { n: 0, brier: null, logLoss: null, accuracy: null };
+  return {
+    n: acc.n,
+    brier: r4(acc.brier / acc.n),
+    logLoss: r4(acc.logLoss / acc.n),
+    accuracy: r4(acc.correct / acc.n),
+  };
+}
+
+function reliability(points) {
+  const buckets = Array.from({ length: BUCKETS }, (_, i) => ({
+    from: i / BUCKETS,
+    to: (i + 1) / BUCKETS,
+    n: 0,
+    predicted: 0,
+    observed: 0,
+  }));
+
+  for (const { p, hit } of points) {
+    const b = buckets[Math.min(BUCKETS - 1, Math.floor(p * BUCKETS))];
+    b.n++;
+    b.predicted += p;
+    b.observed += hit ? 1 : 0;
+  }
+
+  return buckets
+    .filter(b => b.n)
+    .map(b => ({
+      from: r4(b.from),
+      to: r4(b.to),
+      n: b.n,
+      predicted: r4(b.predicted / b.n),
+      observed: r4(b.observed / b.n),
+    }));
+}
+
+function buildReport(store) {
+  const items = store?.items && typeof store.items === "object" ? Object.values(store.items) : [];
+
+  const overall = emptyAcc();
+  const byCompetition = new Map();
+  const byModel = new Map();
+  const points = [];
+  let pending = 0;
+
+  for (const p of items) {
+    const outcome = safeStr(p?.result?.outcome);
+    const probs = probsOf(p);
+    if (!probs) continue;
+    if (!OUTCOMES.includes(outcome)) {
+      pending++;
+      continue;
+    }
+
+    const comp = safeStr(p.competitionCode) || "?";
+    const model = safeStr(p.model) || "unknown";
+    if (!byCompetition.has(comp)) byCompetition.set(comp, { league: safeStr(p.league), acc: emptyAcc() });
+    if (!byModel.has(model)) byModel.set(model, emptyAcc());
+
+    addToAcc(overall, probs, outcome);
+    addToAcc(byCompetition.get(comp).acc, probs, outcome);
+    addToAcc(byModel.get(model), probs, outcome);
+
+    for (const o of OUTCOMES) points.push({ p: probs[o], hit: o === outcome });
+  }
+
+  return {
+    generatedAt: isoNow(),
+    settled: overall.n,
+    pending,
+    overall: summarize(overall),
+    byModel: [...byModel.entries()]
+      .map(([model, acc]) => ({ model, ...summarize(acc) }))
+      .sort((a, b) => b.n - a.n),
+    byCompetition: [...byCompetition.entries()]
+      .map(([competitionCode, x]) => ({ competitionCode, league: x.league, ...summarize(x.acc) }))
+      .sort((a, b) => b.n - a.n),
+    reliability: reliability(points),
+  };
+}
+
+function main() {
+  const dataDir = path.join(process.cwd(), "assets", "data");
+  const outFile = path.join(dataDir, "model-report.json");
+
+  const store = readJsonIfExists(path.join(dataDir, "predictions.json"));
+  const report = buildReport(store);
+
+  writeJson(outFile, report);
+  console.log(`Wrote ${outFile} (${report.settled} settled / ${report.pending} pending)`);
+}
+
+main();
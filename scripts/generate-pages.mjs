@@ -0,0 +1,427 @@
+// scripts/generate-pages.mjs
+// Generates: p/match/<matchId>.html       (one per match in scores.json / upcoming.json)
+//            p/transfer/<hash>.html       (one per transfer signal with a transfer:<hash> id)
+//            p/news/<hash>.html           (one per AI news item with a news:<hash> id)
+//            p/index.html                 (plain list of every page, for crawlers)
+//            p/pages.json                 (page store: what exists, when it last changed)
+//            sitemap.xml, robots.txt      (site root)
+//
+// Reads assets/data/scores.json, upcoming.json, transfers.json, ai-news.json. No network.
+// Run it last, after every generator that writes those files.
+//
+// The site renders everything from JSON in the browser, so crawlers and link previews
+// (X, Slack, WhatsApp…) only ever saw the "Loading…" shell. These pages carry the title,
+// description and og:/twitter: tags up front; the share buttons on the site point at them
+// and each page links on to the live view (article.html).
+//
+// Pages:
+// - The file name is the generator id without its prefix (match:551980 -> p/match/551980.html),
+//   so a link keeps working while the item changes (kick-off -> live -> full time).
+// - A page is only rewritten when its HTML changes; lastmod in the sitemap follows that.
+// - Items that left the data keep their page for NETTHUD_PAGES_KEEP_DAYS, then it is deleted.
+// - Items from older files without a stable id get no page (their links still use #d=).
+// - ai-news.json is refreshed by its own workflow; its new items get pages on the next run here.
+//
+// Env:
+//   NETTHUD_SITE_URL=https://netthud.com/     (default https://netthud.com/)
+//   NETTHUD_PAGES_KEEP_DAYS=90                (how long pages of items that left the data stay)
+//   NETTHUD_OG_IMAGE=https://.../card.png     (optional; og:image / twitter:image for pages without a feed thumbnail)
+//
+// Fail-safe behavior:
+// - A missing or unreadable source file keeps that kind's existing pages as they are.
+
+import fs from "node:fs";
+import path from "node:path";
+
+function env(name, fallback = "") {
+  const v = process.env[name];
+  return v == null || v === "" ? fallback : v;
+}
+function isoNow() { return new Date().toISOString(); }
+function ensureDir(p) { fs.mkdirSync(p, { recursive: true }); }
+function writeJson(filePath, data) {
+  ensureDir(path.dirname(filePath));
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2) + "\n", "utf8");
+}
+function readJsonIfExists(filePath) {
+  try {
+    if (!fs.existsSync(filePath)) return null;
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch { return null; }
+}
+function safeStr(x) { return x == null ? "" : String(x); }
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DESCRIPTION_MAX = 200;
+
+// ------------------------------
+// Text
+// ------------------------------
+function htmlEscape(s) {
+  return safeStr(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#039;");
+}
+
+// feed-supplied URLs: only http(s) is ever linked or used as an image
+function httpUrl(v) {
+  const u = safeStr(v).trim();
+  return /^https?:\/\//i.test(u) ? u : "";
+}
+
+function linkHtml(url, label) {
+  const u = httpUrl(url);
+  return u ? `<a href="${htmlEscape(u)}" rel="noopener nofollow">${htmlEscape(label)}</a>` : htmlEscape(label);
+}
+
+function clip(s, max) {
+  const x = safeStr(s).replace(/\s+/g, " ").trim();
+  return x.length > max ? x.slice(0, max - 1).replace(/\s+\S*$/, "") + "…" : x;
+}
+
+function validDate(v) {
+  const d = new Date(safeStr(v));
+  return Number.isFinite(d.getTime()) ? d : null;
+}
+
+// "2026-01-28 20:00 UTC": the page is the same for every reader, so no local time here
+function fmtUtc(v) {
+  const d = validDate(v);
+  if (!d) return safeStr(v);
+  const iso = d.toISOString();
+  return `${iso.slice(0, 10)} ${iso.slice(11, 16)} UTC`;
+}
+
+function pct(n) {
+  const x = Number(n);
+  return Number.isFinite(x) ? `${Math.round(Math.max(0, Math.min(1, x)) * 100)}%` : "—";
+}
+
+// ------------------------------
+// Pages
+// ------------------------------
+const isLive = s => ["LIVE", "IN_PLAY", "PAUSED", "HT", "EXTRA_TIME", "PENALTY_SHOOTOUT"].includes(safeStr(s).toUpperCase());
+
+function matchPage(m) {
+  const home = safeStr(m.home) || "Home";
+  const away = safeStr(m.away) || "Away";
+  const status = safeStr(m.status).toUpperCase();
+  const played = status === "FINISHED" || isLive(status);
+  const score = safeStr(m.score);
+  const title = played && score ? `${home} ${score} ${away}` : `${home} vs ${away}`;
+  const when = fmtUtc(m.kickoffUTC) || safeStr(m.when);
+  const state = status === "FINISHED" ? "Full time" : isLive(status) ? "Live" : "Kick-off";
+
+  const kv = [
+    ["Competition", safeStr(m.league)],
+    ["Kick-off", when],
+    ["Status", status || "SCHEDULED"],
+    ["Score", score],
+    ["Half time", safeStr(m.halfTimeScore)],
+    ["Penalties", safeStr(m.penalties)],
+    ["Venue", safeStr(m.venue)],
+  ];
+  if (m.hda) kv.push(["Home / Draw / Away", `${pct(m.hda.home)} • ${pct(m.hda.draw)} • ${pct(m.hda.away)}`]);
+  if (m.tv && typeof m.tv === "object" && !Array.isArray(m.tv)) {
+    for (const [region, ch] of Object.entries(m.tv)) {
+      if (Array.isArray(ch) && ch.length) kv.push([`TV (${region})`, ch.join(", ")]);
+    }
+  }
+
+  return {
+    type: "match",
+    id: `match:${m.matchId}`,
+    file: `match/${m.matchId}.html`,
+    title,
+    tag: state.toUpperCase(),
+    meta: [safeStr(m.league), when].filter(Boolean).join(" • "),
+    description: `${title} — ${[safeStr(m.league), when, safeStr(m.venue), state].filter(Boolean).join(" • ")}`,
+    paragraphs: [],
+    kv,
+    date: validDate(m.kickoffUTC),
+    source: null,
+    ld: {
+      "@type": "SportsEvent",
+      name: `${home} vs ${away}`,
+      startDate: validDate(m.kickoffUTC)?.toISOString(),
+      homeTeam: { "@type": "SportsTeam", name: home },
+      awayTeam: { "@type": "SportsTeam", name: away },
+      ...(m.venue ? { location: { "@type": "Place", name: safeStr(m.venue) } } : {}),
+    },
+  };
+}
+
+function transferPage(s) {
+  const stage = safeStr(s.stage || s.status || "watch").toUpperCase();
+  const deal = [s.player, s.from && `from ${s.from}`, s.to && `to ${s.to}`, s.fee && `fee ${s.fee}`].filter(Boolean).join(" ");
+  const title = safeStr(s.title) || "Transfer signal";
+  const summary = `Stage: ${stage} • Confidence: ${pct(s.confidence)}`;
+
+  return {
+    type: "transfer",
+    id: safeStr(s.id),
+    file: `transfer/${safeStr(s.id).slice("transfer:".length)}.html`,
+    title,
+    tag: s.state === "completed" || s.state === "collapsed" ? s.state.toUpperCase() : stage,
+    meta: [safeStr(s.source), s.author && `by ${safeStr(s.author)}`, fmtUtc(s.publishedAt)].filter(Boolean).join(" • "),
+    image: httpUrl(s.image),
+    description: clip(safeStr(s.snippet) || [summary, deal].filter(Boolean).join(" • "), DESCRIPTION_MAX),
+    paragraphs: [safeStr(s.snippet), summary, "AI-generated signal; may be incorrect."].filter(Boolean),
+    kv: [["Player", safeStr(s.player)], ["From", safeStr(s.from)], ["To", safeStr(s.to)], ["Fee", safeStr(s.fee)]],
+    date: validDate(s.publishedAt),
+    source: s.url ? { name: safeStr(s.source) || safeStr(s.url), url: safeStr(s.url) } : null,
+    // a deal reported by several outlets lists each report
+    reports: Array.isArray(s.sources) && s.sources.length > 1
+      ? s.sources.map(x => ({ name: safeStr(x.source), title: safeStr(x.title), url: safeStr(x.url) }))
+      : [],
+    timeline: (Array.isArray(s.timeline) ? s.timeline : []).map(e =>
+      `${fmtUtc(e.at)} — ${safeStr(e.event || e.stage).toUpperCase()} — ${[e.source, e.title].filter(Boolean).join(": ")}`),
+    ld: {
+      "@type": "NewsArticle",
+      headline: clip(title, 110),
+      datePublished: validDate(s.publishedAt)?.toISOString(),
+      ...(s.author ? { author: { "@type": "Person", name: safeStr(s.author) } } : {}),
+      ...(httpUrl(s.image) ? { image: [httpUrl(s.image)] } : {}),
+    },
+  };
+}
+
+function newsPage(n) {
+  const title = safeStr(n.title) || "News";
+  const summary = safeStr(n.summary || n.short);
+  const published = validDate(n.createdAt || n.publishedAt || n.date);
+
+  return {
+    type: "news",
+    id: safeStr(n.id),
+    file: `news/${safeStr(n.id).slice("news:".length)}.html`,
+    title,
+    tag: "AI NEWS",
+    meta: [safeStr(n.source) || "NetThud AI", published ? fmtUtc(published) : ""].filter(Boolean).join(" • "),
+    description: clip(summary || title, DESCRIPTION_MAX),
+    paragraphs: [summary, "AI-generated summary; may contain errors."].filter(Boolean),
+    kv: [],
+    date: published,
+    source: n.url ? { name: safeStr(n.source) || safeStr(n.url), url: safeStr(n.url) } : null,
+    ld: { "@type": "NewsArticle", headline: clip(title, 110), datePublished: published?.toISOString() },
+  };
+}
+
+const PAGE_CSS = `
+    body{margin:0;background:#0b0d10;color:#eaeef3;font:15px/1.7 ui-sans-serif,system-ui,-apple-system,Segoe UI,Roboto,Helvetica,Arial}
+    a{color:#39d9ff}
+    header,main{max-width:760px;margin:0 auto;padding:16px 18px}
+    header a{color:#eaeef3;font-weight:900;letter-spacing:.12em;text-decoration:none}
+    h1{font-size:28px;line-height:1.2;letter-spacing:-.02em;margin:6px 0 8px}
+    .tag{display:inline-block;color:#78ff6a;font-size:11px;font-weight:900;letter-spacing:.12em}
+    .meta,dt{color:#9aa3ad;font-size:13px}
+    dl{display:grid;grid-template-columns:max-content 1fr;gap:6px 16px}
+    dd{margin:0;font-weight:700}
+    .btn{display:inline-block;margin:18px 12px 0 0;padding:10px 14px;border-radius:12px;border:1px solid rgba(255,255,255,.12);color:#eaeef3;font-weight:900;text-decoration:none}
+    ul,ol{padding-left:18px}
+    h2{font-size:15px;letter-spacing:.06em;text-transform:uppercase;margin:22px 0 6px}
+  `;
+
+function pageHtml(page, siteUrl, defaultImage) {
+  // a transfer's feed thumbnail beats the site-wide card
+  const ogImage = page.image || defaultImage;
+  const url = siteUrl + "p/" + page.file;
+  const live = `${siteUrl}article.html?type=${page.type}&id=${encodeURIComponent(page.id)}`;
+  const ld = { "@context": "https://schema.org", ...page.ld, url, description: page.description };
+  const kv = page.kv.filter(([, v]) => v);
+
+  return [
+    "<!doctype html>",
+    `<html lang="en">`,
+    "<head>",
+    `  <meta charset="utf-8" />`,
+    `  <meta name="viewport" content="width=device-width,initial-scale=1" />`,
+    `  <title>${htmlEscape(page.title)} — Net Thud</title>`,
+    `  <meta name="description" content="${htmlEscape(page.description)}" />`,
+    `  <link rel="canonical" href="${htmlEscape(url)}" />`,
+    `  <meta property="og:site_name" content="Net Thud" />`,
+    `  <meta property="og:type" content="article" />`,
+    `  <meta property="og:title" content="${htmlEscape(page.title)}" />`,
+    `  <meta property="og:description" content="${htmlEscape(page.description)}" />`,
+    `  <meta property="og:url" content="${htmlEscape(url)}" />`,
+    ogImage ? `  <meta property="og:image" content="${htmlEscape(ogImage)}" />` : "",
+    page.date && page.type !== "match" ? `  <meta property="article:published_time" content="${page.date.toISOString()}" />` : "",
+    `  <meta name="twitter:card" content="${ogImage ? "summary_large_image" : "summary"}" />`,
+    `  <meta name="twitter:title" content="${htmlEscape(page.title)}" />`,
+    `  <meta name="twitter:description" content="${htmlEscape(page.description)}" />`,
+    ogImage ? `  <meta name="twitter:image" content="${htmlEscape(ogImage)}" />` : "",
+    `  <meta name="theme-color" content="#0b0d10" />`,
+    `  <link rel="icon" href="/assets/icons/icon.svg" type="image/svg+xml" />`,
+    `  <script type="application/ld+json">${JSON.stringify(ld).replace(/</g, "\\u003c")}</script>`,
+    `  <style>${PAGE_CSS}</style>`,
+    "</head>",
+    "<body>",
+    `  <header><a href="/">NET THUD</a></header>`,
+    "  <main>",
+    "    <article>",
+    `      <span class="tag">${htmlEscape(page.tag)}</span>`,
+    `      <h1>${htmlEscape(page.title)}</h1>`,
+    `      <p class="meta">${htmlEscape(page.meta)}</p>`,
+    ...page.paragraphs.map(p => `      <p>${htmlEscape(p)}</p>`),
+    kv.length ? `      <dl>${kv.map(([k, v]) => `<dt>${htmlEscape(k)}</dt><dd>${htmlEscape(v)}</dd>`).join("")}</dl>` : "",
+    page.timeline?.length ? `      <h2>Timeline</h2>\n      <ol>${page.timeline.map(e => `<li>${htmlEscape(e)}</li>`).join("")}</ol>` : "",
+    page.reports?.length
+      ? `      <p class="meta">Reported by:</p>\n      <ul>${page.reports.map(r => `<li>${linkHtml(r.url, r.title || r.name)} — ${htmlEscape(r.name)}</li>`).join("")}</ul>`
+      : page.source ? `      <p class="meta">Originally reported by ${linkHtml(page.source.url, page.source.name)}.</p>` : "",
+    `      <a class="btn" href="${htmlEscape(live)}">Open in NetThud →</a>`,
+    `      <a class="btn" href="/">Home</a>`,
+    "    </article>",
+    "  </main>",
+    "</body>",
+    "</html>",
+    "",
+  ].filter(Boolean).join("\n");
+}
+
+const TYPE_TITLES = { match: "Matches", transfer: "Transfer signals", news: "AI news" };
+
+function indexHtml(entries, siteUrl) {
+  const sections = Object.entries(TYPE_TITLES).map(([type, heading]) => {
+    const list = entries
+      .filter(([, e]) => e.type === type)
+      .sort((a, b) => safeStr(b[1].date).localeCompare(safeStr(a[1].date)));
+    if (!list.length) return "";
+    return [
+      `    <h2>${heading}</h2>`,
+      "    <ul>",
+      ...list.map(([file, e]) => `      <li><a href="/p/${htmlEscape(file)}">${htmlEscape(e.title)}</a></li>`),
+      "    </ul>",
+    ].join("\n");
+  }).filter(Boolean);
+
+  return [
+    "<!doctype html>",
+    `<html lang="en">`,
+    "<head>",
+    `  <meta charset="utf-8" />`,
+    `  <meta name="viewport" content="width=device-width,initial-scale=1" />`,
+    "  <title>All pages — Net Thud</title>",
+    `  <meta name="description" content="Every match, transfer signal and AI news page on Net Thud." />`,
+    `  <link rel="canonical" href="${htmlEscape(siteUrl)}p/" />`,
+    `  <link rel="icon" href="/assets/icons/icon.svg" type="image/svg+xml" />`,
+    `  <style>${PAGE_CSS}</style>`,
+    "</head>",
+    "<body>",
+    `  <header><a href="/">NET THUD</a></header>`,
+    "  <main>",
+    "    <h1>All pages</h1>",
+    ...sections,
+    "  </main>",
+    "</body>",
+    "</html>",
+    "",
+  ].join("\n");
+}
+
+function sitemapXml(entries, siteUrl, generatedAt) {
+  const urls = [
+    { loc: siteUrl, lastmod: generatedAt },
+    { loc: siteUrl + "p/", lastmod: generatedAt },
+    ...entries.map(([file, e]) => ({ loc: siteUrl + "p/" + file, lastmod: e.lastmod })),
+  ];
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">`,
+    ...urls.map(u => `  <url><loc>${htmlEscape(u.loc)}</loc><lastmod>${u.lastmod.slice(0, 10)}</lastmod></url>`),
+    "</urlset>",
+    "",
+  ].join("\n");
+}
+
+// ------------------------------
+// Main
+// ------------------------------
+function main() {
+  const root = process.cwd();
+  const dataDir = path.join(root, "assets", "data");
+  const outDir = path.join(root, "p");
+  const storeFile = path.join(outDir, "pages.json");
+  const siteUrl = env("NETTHUD_SITE_URL", "https://netthud.com/").replace(/\/?$/, "/");
+  const keepDays = Math.max(0, Number(env("NETTHUD_PAGES_KEEP_DAYS", "90")) || 0);
+  const ogImage = env("NETTHUD_OG_IMAGE", "");
+  const now = isoNow();
+
+  const read = file => {
+    const data = readJsonIfExists(path.join(dataDir, file));
+    if (data && Array.isArray(data.items)) return data.items;
+    console.warn(`⚠️ No usable ${file}, keeping its pages`);
+    return null;
+  };
+  const scores = read("scores.json");
+  const upcoming = read("upcoming.json");
+  const transfers = read("transfers.json");
+  const news = read("ai-news.json");
+
+  // kinds whose source could not be read keep every page they have
+  const frozen = new Set();
+  if (!scores || !upcoming) frozen.add("match");
+  if (!transfers) frozen.add("transfer");
+  if (!news) frozen.add("news");
+
+  const pages = new Map(); // file -> page
+  for (const m of [...(upcoming || []), ...(scores || [])]) {
+    if (m?.matchId != null) pages.set(`match/${m.matchId}.html`, matchPage(m)); // scores.json wins
+  }
+  for (const s of transfers || []) {
+    if (/^transfer:[0-9a-f]+$/.test(safeStr(s?.id))) pages.set(transferPage(s).file, transferPage(s));
+  }
+  for (const n of news || []) {
+    if (/^news:[0-9a-f]+$/.test(safeStr(n?.id))) pages.set(newsPage(n).file, newsPage(n));
+  }
+
+  const prev = readJsonIfExists(storeFile)?.pages || {};
+  const store = {};
+  let written = 0;
+
+  for (const [file, page] of pages) {
+    const html = pageHtml(page, siteUrl, ogImage);
+    const filePath = path.join(outDir, file);
+    const same = fs.existsSync(filePath) && fs.readFileSync(filePath, "utf8") === html;
+    if (!same) {
+      ensureDir(path.dirname(filePath));
+      fs.writeFileSync(filePath, html, "utf8");
+      written++;
+    }
+    store[file] = {
+      type: page.type,
+      id: page.id,
+      title: page.title,
+      date: page.date ? page.date.toISOString() : "",
+      lastmod: same && prev[file]?.lastmod ? prev[file].lastmod : now,
+      seenAt: now,
+    };
+  }
+
+  // pages whose item left the data: keep them for a while so shared links still open
+  let removed = 0;
+  for (const [file, e] of Object.entries(prev)) {
+    if (store[file]) continue;
+    const seen = Date.parse(e.seenAt) || 0;
+    if (frozen.has(e.type) || seen > Date.now() - keepDays * DAY_MS) {
+      if (fs.existsSync(path.join(outDir, file))) store[file] = e;
+      continue;
+    }
+    const filePath = path.join(outDir, file);
+    if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+    removed++;
+  }
+
+  const entries = Object.entries(store).sort(([a], [b]) => a.localeCompare(b));
+  ensureDir(outDir);
+  fs.writeFileSync(path.join(outDir, "index.html"), indexHtml(entries, siteUrl), "utf8");
+  fs.writeFileSync(path.join(root, "sitemap.xml"), sitemapXml(entries, siteUrl, now), "utf8");
+  fs.writeFileSync(path.join(root, "robots.txt"), `User-agent: *\nAllow: /\n\nSitemap: ${siteUrl}sitemap.xml\n`, "utf8");
+  writeJson(storeFile, { generatedAt: now, keepDays, pages: Object.fromEntries(entries) });
+
+  console.log(`Pages: ${entries.length} total, ${written} written, ${removed} removed -> ${outDir}`);
+}
+
+main();
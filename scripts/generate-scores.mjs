@@ -8,6 +8,19 @@
 //   NETTHUD_SCORES_DAYS_FORWARD=1   (optional; default 1)
 //   NETTHUD_SCORES_COMP_CODES=PL,PD,SA,BL1,FL1,CL,EL,TSL (optional override)
 //
+// Archive:
+// - FINISHED matches are appended to assets/data/archive/<CODE>-<season>.json
+//   (deduplicated by matchId; a changed score replaces the row and sets correctedAt)
+// - assets/data/archive/index.json lists every archive file and every match day,
+//   so the UI can page back past the 1–3 day window of scores.json.
+// - Files are only rewritten (and "updated" only bumped) when a match was added or corrected.
+//
+// Ids: every row carries id "match:<matchId>" (the same id upcoming.json uses), so a
+// #d=match:<matchId> link keeps opening this match after the lists refresh.
+//
+// Also settles assets/data/predictions.json (written by generate-upcoming.mjs):
+// FINISHED matches get their regular-time result attached by matchId.
+//
 // Fail-safe behavior:
 // - On 429/temporary errors: reuse existing assets/data/scores.json and exit 0
 // - If NO cache exists: write demo-compatible scores.json and exit 0
@@ -150,6 +163,7 @@ function normalizeMatch(m) {
 
   return {
     matchId: m?.id ?? null,
+    id: m?.id != null ? `match:${m.id}` : "",
     league,
     competitionCode: code,
     when,
@@ -157,11 +171,144 @@ function normalizeMatch(m) {
     status,
     home,
     away,
+    homeId: m?.homeTeam?.id ?? null,
+    awayId: m?.awayTeam?.id ?? null,
     score,
     highlightsUrl: ""
   };
 }
 
+// ------------------------------
+// Season archive
+// ------------------------------
+function seasonOf(m) {
+  const start = safeStr(m?.season?.startDate);
+  if (start) return start.slice(0, 4);
+
+  // European seasons start in July/August: Jan–Jun belongs to last year's season.
+  const d = new Date(safeStr(m?.utcDate));
+  if (Number.isNaN(d.getTime())) return "unknown";
+  return String(d.getUTCMonth() >= 6 ? d.getUTCFullYear() : d.getUTCFullYear() - 1);
+}
+
+function archiveRow(m) {
+  return {
+    ...normalizeMatch(m),
+    matchday: Number.isFinite(m?.matchday) ? m.matchday : null,
+    stage: safeStr(m?.stage || ""),
+    season: seasonOf(m)
+  };
+}
+
+function archiveFinished(archiveDir, rows) {
+  const byFile = new Map();
+  for (const r of rows) {
+    const file = `${r.competitionCode || "OTHER"}-${r.season}.json`;
+    if (!byFile.has(file)) byFile.set(file, []);
+    byFile.get(file).push(r);
+  }
+
+  let added = 0;
+  let corrected = 0;
+  let changedFiles = 0;
+
+  for (const [file, fresh] of byFile) {
+    const filePath = path.join(archiveDir, file);
+    const existing = readJsonIfExists(filePath);
+    const byId = new Map((Array.isArray(existing?.items) ? existing.items : []).map(x => [x.matchId, x]));
+    const before = added + corrected;
+
+    for (const r of fresh) {
+      const prev = byId.get(r.matchId);
+      if (!prev) {
+        byId.set(r.matchId, { ...r, archivedAt: isoNow() });
+        added++;
+      } else if (prev.score !== r.score || prev.status !== r.status) {
+        byId.set(r.matchId, { ...prev, ...r, correctedAt: isoNow(), previousScore: prev.score });
+        corrected++;
+      }
+    }
+    // nothing new: leave the file (and its "updated") alone so the cron commit has no archive diff
+    if (added + corrected === before) continue;
+    changedFiles++;
+
+    const items = [...byId.values()].sort((a, b) => safeStr(b.kickoffUTC).localeCompare(safeStr(a.kickoffUTC)));
+    writeJson(filePath, {
+      updated: isoNow(),
+      competitionCode: fresh[0].competitionCode,
+      league: fresh[0].league,
+      season: fresh[0].season,
+      items
+    });
+  }
+
+  if (changedFiles || (byFile.size && !fs.existsSync(path.join(archiveDir, "index.json")))) writeArchiveIndex(archiveDir);
+  return { added, corrected };
+}
+
+function writeArchiveIndex(archiveDir) {
+  const files = [];
+  const days = new Set();
+
+  for (const name of fs.readdirSync(archiveDir).filter(n => n.endsWith(".json") && n !== "index.json").sort()) {
+    const data = readJsonIfExists(path.join(archiveDir, name));
+    const items = Array.isArray(data?.items) ? data.items : [];
+    if (!items.length) continue;
+
+    const dates = items.map(x => safeStr(x.kickoffUTC).slice(0, 10)).filter(Boolean).sort();
+    dates.forEach(d => days.add(d));
+    files.push({
+      file: name,
+      competitionCode: safeStr(data.competitionCode),
+      league: safeStr(data.league),
+      season: safeStr(data.season),
+      count: items.length,
+      firstDate: dates[0] || "",
+      lastDate: dates[dates.length - 1] || ""
+    });
+  }
+
+  writeJson(path.join(archiveDir, "index.json"), {
+    updated: isoNow(),
+    files,
+    days: [...days].sort().reverse()
+  });
+}
+
+// ------------------------------
+// Prediction settlement
+// ------------------------------
+function regularTimeGoals(m) {
+  // 1X2 markets settle on 90 minutes: prefer regularTime when the match went longer.
+  const score = m?.score || {};
+  for (const o of [score.regularTime, score.fullTime]) {
+    if (Number.isFinite(o?.home) && Number.isFinite(o?.away)) return { home: o.home, away: o.away };
+  }
+  return null;
+}
+
+function settlePredictions(filePath, finals) {
+  const store = readJsonIfExists(filePath);
+  const byId = store?.items && typeof store.items === "object" ? store.items : null;
+  if (!byId) return 0;
+
+  let settled = 0;
+  for (const f of finals) {
+    const p = byId[f.matchId];
+    if (!p) continue;
+
+    const outcome = f.home > f.away ? "H" : f.home === f.away ? "D" : "A";
+    const prev = p.result;
+    if (prev && prev.home === f.home && prev.away === f.away) continue;
+
+    p.result = { home: f.home, away: f.away, outcome, settledAt: isoNow() };
+    settled++;
+  }
+
+  if (settled) writeJson(filePath, { ...store, updated: isoNow(), items: byId });
+  return settled;
+}
+
 function demoPayload({ dateFrom, dateTo, competitions }) {
   const now = new Date();
   const t0 = new Date(now.getTime() - 20 * 60 * 1000).toISOString();
@@ -236,7 +383,7 @@ async function fetchFootballDataScores({ daysBack, daysForward }) {
   const json = await fetchFD(url, token, { retries: 3 });
   const matches = Array.isArray(json?.matches) ? json.matches : [];
 
-  const liveOrFinal = new Set(["LIVE", "IN_PLAY", "PAUSED", "HT", "FINISHED", "FT"]);
+  const liveOrFinal = new Set(["LIVE", "IN_PLAY", "PAUSED", "EXTRA_TIME", "PENALTY_SHOOTOUT", "HT", "FINISHED", "FT"]);
 
   const items = matches
     .map(normalizeMatch)
@@ -250,12 +397,29 @@ async function fetchFootballDataScores({ daysBack, daysForward }) {
     })
     .sort((a, b) => safeStr(b.kickoffUTC).localeCompare(safeStr(a.kickoffUTC)));
 
+  const finals = [];
+  const archive = [];
+  for (const m of matches) {
+    if (safeStr(m?.status).toUpperCase() !== "FINISHED" || m?.id == null) continue;
+
+    const code = safeStr(m?.competition?.code).toUpperCase();
+    if (code && !allowedCodes.has(code)) continue;
+
+    archive.push(archiveRow(m));
+    const g = regularTimeGoals(m);
+    if (g) finals.push({ matchId: m.id, ...g });
+  }
+
   return {
-    updated: isoNow(),
-    dateFrom,
-    dateTo,
-    competitions: ordered,
-    items
+    payload: {
+      updated: isoNow(),
+      dateFrom,
+      dateTo,
+      competitions: ordered,
+      items
+    },
+    finals,
+    archive
   };
 }
 
@@ -268,9 +432,17 @@ async function main() {
   const { ordered } = parseCompAllowlistWithOrder();
 
   try {
-    const payload = await fetchFootballDataScores({ daysBack, daysForward });
+    const { payload, finals, archive } = await fetchFootballDataScores({ daysBack, daysForward });
     writeJson(outFile, payload);
     console.log(`Wrote ${outFile} (${payload.items.length} items)`);
+
+    const archiveDir = path.join(process.cwd(), "assets", "data", "archive");
+    const { added, corrected } = archiveFinished(archiveDir, archive);
+    console.log(`Archive: +${added} new, ${corrected} corrected -> ${archiveDir}`);
+
+    const predictionsFile = path.join(process.cwd(), "assets", "data", "predictions.json");
+    const settled = settlePredictions(predictionsFile, finals);
+    if (settled) console.log(`Settled ${settled} predictions -> ${predictionsFile}`);
   } catch (err) {
     const status = err?.status;
     const cached = readJsonIfExists(outFile);
@@ -1,8 +1,14 @@
 import fs from "node:fs";
 import path from "node:path";
+import crypto from "node:crypto";
 
 const OUT_PATH = path.resolve("assets/data/signals.json");
 
+// stable id (hash of the title) so a signal keeps its id across regenerations
+function insightId(title) {
+  return "insight:" + crypto.createHash("sha1").update(title).digest("hex").slice(0, 16);
+}
+
 function readJsonSafe(filePath, fallback) {
   try {
     if (!fs.existsSync(filePath)) return fallback;
@@ -111,6 +117,7 @@ Rules:
   const cleaned = {
     updated: new Date().toISOString(),
     items: obj.items.slice(0, 12).map((x) => ({
+      id: insightId(String(x.title || "").trim()),
       title: String(x.title || "").trim(),
       tag: String(x.tag || "").trim(),
       confidence: ["low", "medium", "high"].includes(String(x.confidence))
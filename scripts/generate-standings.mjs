@@ -0,0 +1,232 @@
+// scripts/generate-standings.mjs
+// Generates: assets/data/standings.json
+//
+// Uses football-data.org (requires API token)
+// Env:
+//   NETTHUD_SCORES_API_TOKEN=xxxxxxxx
+//   NETTHUD_STANDINGS_COMP_CODES=PL,PD,SA,BL1,FL1,CL,EL,TSL (optional override)
+//   NETTHUD_STANDINGS_MAX_AGE_HOURS=6 (optional; refetch a table at least this often)
+//
+// Refresh:
+//   Tables only move when matches finish, so a competition is refetched only when its cached
+//   entry is older than NETTHUD_STANDINGS_MAX_AGE_HOURS, or scores.json has a finished match
+//   of it that may have ended after the entry's fetchedAt. A run with nothing due makes no
+//   API calls and leaves standings.json untouched (the scores job shares the 10 req/min key).
+//
+// Output:
+//   items[] = one per competition:
+//     { competitionCode, competitionId, league, area, season, matchday, fetchedAt,
+//       tables: { TOTAL: [row], HOME: [row], AWAY: [row] } }
+//   row = { position, group, team: { id, name, shortName, tla, crest },
+//           playedGames, won, draw, lost, goalsFor, goalsAgainst, goalDifference, points, form }
+//   Cup competitions keep every group table; rows carry their "group" (null for leagues).
+//
+// generate-upcoming.mjs reuses these tables for its goal model instead of refetching.
+//
+// Fail-safe behavior:
+// - A competition that fails keeps its previous entry from the cached standings.json
+// - If every competition fails with 429/temporary errors: keep the cache and exit 0
+
+import fs from "node:fs";
+import path from "node:path";
+
+function env(name, fallback = "") {
+  const v = process.env[name];
+  return v == null || v === "" ? fallback : v;
+}
+function isoNow() { return new Date().toISOString(); }
+function ensureDir(p) { fs.mkdirSync(p, { recursive: true }); }
+function writeJson(filePath, data) {
+  ensureDir(path.dirname(filePath));
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2) + "\n", "utf8");
+}
+function readJsonIfExists(filePath) {
+  try {
+    if (!fs.existsSync(filePath)) return null;
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch { return null; }
+}
+function safeStr(x) { return x == null ? "" : String(x); }
+function safeNum(x, fallback = 0) {
+  const n = Number(x);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function parseCompAllowlistWithOrder() {
+  const raw = env("NETTHUD_STANDINGS_COMP_CODES", "").trim();
+  if (raw) {
+    const ordered = raw.split(",").map(x => x.trim().toUpperCase()).filter(Boolean);
+    return { set: new Set(ordered), ordered };
+  }
+  const ordered = ["PL", "PD", "SA", "BL1", "FL1", "DED", "PPL", "TSL", "CL", "EL"];
+  return { set: new Set(ordered), ordered };
+}
+
+const HOUR_MS = 3600 * 1000;
+const MATCH_SPAN_MS = 2.5 * HOUR_MS; // kick-off to final whistle, with stoppage and extra time
+
+function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+
+async function fetchFD(url, token, { retries = 2 } = {}) {
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    const res = await fetch(url, { headers: { "X-Auth-Token": token } });
+    if (res.ok) return res.json();
+
+    const status = res.status;
+    const body = await res.text().catch(() => "");
+    const msg = `football-data HTTP ${status} ${res.statusText} :: ${body.slice(0, 200)}`;
+
+    const retryable = status === 429 || (status >= 500 && status <= 599);
+    if (!retryable || attempt === retries) {
+      const err = new Error(msg);
+      err.status = status;
+      throw err;
+    }
+
+    const backoff = 800 * Math.pow(2, attempt);
+    console.warn(`⚠️ ${msg}`);
+    console.warn(`↻ retrying in ${backoff}ms (attempt ${attempt + 1}/${retries})`);
+    await sleep(backoff);
+  }
+}
+
+function normalizeRow(r, group) {
+  return {
+    position: safeNum(r?.position, 0),
+    group: group || null,
+    team: {
+      id: r?.team?.id ?? null,
+      name: safeStr(r?.team?.name),
+      shortName: safeStr(r?.team?.shortName || r?.team?.name),
+      tla: safeStr(r?.team?.tla),
+      crest: safeStr(r?.team?.crest),
+    },
+    playedGames: safeNum(r?.playedGames, 0),
+    won: safeNum(r?.won, 0),
+    draw: safeNum(r?.draw, 0),
+    lost: safeNum(r?.lost, 0),
+    goalsFor: safeNum(r?.goalsFor, 0),
+    goalsAgainst: safeNum(r?.goalsAgainst, 0),
+    goalDifference: safeNum(r?.goalDifference, safeNum(r?.goalsFor, 0) - safeNum(r?.goalsAgainst, 0)),
+    points: safeNum(r?.points, 0),
+    form: safeStr(r?.form),
+  };
+}
+
+async function fetchCompetitionStandings(code, token) {
+  const json = await fetchFD(`https://api.football-data.org/v4/competitions/${code}/standings`, token, { retries: 2 });
+  const standings = Array.isArray(json?.standings) ? json.standings : [];
+
+  const tables = { TOTAL: [], HOME: [], AWAY: [] };
+  for (const s of standings) {
+    const type = safeStr(s?.type || "TOTAL").toUpperCase();
+    if (!tables[type]) continue;
+    const group = safeStr(s?.group).replace(/_/g, " ").trim();
+    for (const r of Array.isArray(s?.table) ? s.table : []) tables[type].push(normalizeRow(r, group));
+  }
+
+  return {
+    competitionCode: safeStr(json?.competition?.code || code).toUpperCase(),
+    competitionId: json?.competition?.id ?? null,
+    league: safeStr(json?.competition?.name),
+    area: safeStr(json?.area?.name),
+    season: safeStr(json?.season?.startDate).slice(0, 4),
+    matchday: json?.season?.currentMatchday ?? null,
+    fetchedAt: isoNow(),
+    tables,
+  };
+}
+
+/* a cached table is due when it is too old or a match of its competition may have finished since */
+function isDue(entry, fetchedAt, finishedKickoffs, maxAgeMs, now) {
+  if (!entry) return true;
+  const at = Date.parse(fetchedAt) || 0;
+  if (now - at >= maxAgeMs) return true;
+  return finishedKickoffs.some(k => k + MATCH_SPAN_MS > at);
+}
+
+async function main() {
+  const dataDir = path.join(process.cwd(), "assets", "data");
+  const outFile = path.join(dataDir, "standings.json");
+  const cached = readJsonIfExists(outFile);
+  const cachedByCode = new Map((Array.isArray(cached?.items) ? cached.items : []).map(x => [x.competitionCode, x]));
+  const maxAgeMs = Math.max(0, safeNum(env("NETTHUD_STANDINGS_MAX_AGE_HOURS", "6"), 6)) * HOUR_MS;
+
+  // kick-off times of finished matches per competition, from this run's scores.json
+  const finishedByCode = new Map();
+  const scores = readJsonIfExists(path.join(dataDir, "scores.json"));
+  for (const m of Array.isArray(scores?.items) ? scores.items : []) {
+    const status = safeStr(m?.status).toUpperCase();
+    const kickoff = Date.parse(m?.kickoffUTC);
+    if ((status !== "FINISHED" && status !== "FT") || !Number.isFinite(kickoff)) continue;
+    const code = safeStr(m?.competitionCode).toUpperCase();
+    if (!finishedByCode.has(code)) finishedByCode.set(code, []);
+    finishedByCode.get(code).push(kickoff);
+  }
+
+  const token = env("NETTHUD_SCORES_API_TOKEN");
+  if (!token) {
+    console.error("❌ Missing env: NETTHUD_SCORES_API_TOKEN");
+    process.exit(1);
+  }
+
+  const { ordered } = parseCompAllowlistWithOrder();
+  const now = Date.now();
+  const due = ordered.filter(code => {
+    const entry = cachedByCode.get(code);
+    return isDue(entry, entry?.fetchedAt || cached?.generatedAt, finishedByCode.get(code) || [], maxAgeMs, now);
+  });
+  const sameList = cached && ordered.join(",") === (Array.isArray(cached.competitions) ? cached.competitions.join(",") : "");
+  if (!due.length && sameList) {
+    console.log(`Standings up to date (${ordered.length} competitions), nothing fetched`);
+    return;
+  }
+
+  const items = [];
+  const failed = [];
+  let hardError = null;
+
+  for (const code of ordered) {
+    if (!due.includes(code)) {
+      items.push(cachedByCode.get(code));
+      continue;
+    }
+    try {
+      items.push(await fetchCompetitionStandings(code, token));
+    } catch (err) {
+      const status = err?.status;
+      const isTemporary = status === 429 || (status >= 500 && status <= 599);
+      if (!isTemporary) hardError = hardError || err;
+
+      console.warn(`⚠️ Standings failed for ${code}: ${String(err?.message || err)}`);
+      failed.push(code);
+      if (cachedByCode.has(code)) items.push(cachedByCode.get(code));
+    }
+    if (code !== due[due.length - 1]) await sleep(6500); // free tier: 10 requests / minute
+  }
+
+  if (due.length && failed.length === due.length) {
+    if (cached && !hardError) {
+      console.warn("⚠️ Standings generation failed for every competition, keeping cached standings.json and exiting 0");
+      process.exit(0);
+    }
+    console.error("❌ Standings generation failed and no safe fallback was used.");
+    console.error(String(hardError?.message || "no competitions fetched"));
+    process.exit(1);
+  }
+
+  const payload = {
+    generatedAt: isoNow(),
+    competitions: ordered,
+    stale: failed,
+    items,
+  };
+
+  writeJson(outFile, payload);
+  console.log(`Wrote ${outFile} (${items.length} competitions, ${due.length - failed.length} fetched${failed.length ? `, ${failed.length} from cache/failed` : ""})`);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -2,12 +2,14 @@
 // Generates: assets/data/transfers.json
 //
 // Option A (LIVE):
-//   - Reads RSS feeds (public headlines/snippets)
+//   - Reads RSS 1.0/2.0, Atom and JSON feeds (public headlines/snippets) with scripts/lib/feed-parser.mjs,
+//     keeping each item's author, image (thumbnail), categories and guid
 //   - Converts them into "transfer signals" (stage + confidence)
-//   - Optional OpenAI enrichment to extract player/from/to/fee + refine confidence
+//   - Fills player/from/to/fee offline (see Entities)
+//   - Optional OpenAI enrichment to refine player/from/to/fee + confidence
 //
 // Output schema supports your index.html normalizeSignals():
-//   items[] can include { title, stage, confidence, source, publishedAt, url, ... }
+//   items[] can include { title, stage, confidence, source, publishedAt, url, author, image, ... }
 //
 // Env:
 //   NETTHUD_TRANSFERS_MODE=demo|live                 (default demo)
@@ -17,12 +19,68 @@
 //   NETTHUD_SITE_URL=https://netthud.com/            (default https://netthud.com/)
 //   NETTHUD_TRANSFERS_LANG=en                        (optional metadata)
 //   NETTHUD_TRANSFERS_REGION=US                      (optional metadata)
+//   NETTHUD_TRANSFERS_HISTORY_DAYS=90                (default 90; live mode, how long a quiet deal stays in the history)
+//   NETTHUD_TRANSFERS_TRACK_RECORD=1                 (default 1; 0 = rate sources by their tier only)
 //
 // Optional OpenAI enrichment:
 //   NETTHUD_USE_OPENAI=1
 //   OPENAI_API_KEY=...   (GitHub secret)
 //   NETTHUD_OPENAI_MODEL=... (optional; default "gpt-4.1-mini")
 //
+// Ids:
+//   Every report gets id "transfer:<16 hex>" = sha1 of the article url (its feed guid, then the
+//   headline, when the item has no url of its own), assigned before enrichment so a rewritten
+//   title keeps its id.
+//   index.html permalinks (#d=transfer:...) and the RSS/Atom guids use it.
+//
+// Entities (live mode, no network):
+//   Every report gets player/from/to/fee from its headline (then its snippet) before enrichment,
+//   so clustering and the UI have structured fields with or without OpenAI, and past the top 40
+//   items it enriches. Clubs come from a dictionary of the team names football-data returned
+//   (upcoming.json, scores.json, standings.json) plus CLUB_ALIASES for headline spellings
+//   ("Man Utd", "Spurs", "Barcelona"), and are reported under the site's names. Roles come from
+//   English cues ("joins Y from Z", "Y sign X", "Z's X", "Z reject ...") and Turkish suffixes
+//   (Galatasaray'a = to, Napoli'den = from, Fenerbahçe'nin yıldızı = from); the player is the
+//   capitalised name with the strongest cue around it. Fees: "€30m", "£27.5m", "30 million euros",
+//   "75 milyon euro", "free transfer" / "bonservissiz", "loan with option to buy" / "opsiyonlu kiralık".
+//   OpenAI, when on, gets these as a guess to confirm or correct.
+//
+// Deals:
+//   Reports about the same move are clustered into one item per player + destination club
+//   (clusterDeals): extracted player/to must agree when both reports have them, otherwise the
+//   headlines must be close enough (token overlap). A surname alone ("Silva" / "Bernardo Silva")
+//   only joins when the to or from club matches too. A deal keeps the id of its oldest report,
+//   so its permalink survives new reports joining; it lists every report in sources[], takes the
+//   furthest stage any source reports, and its confidence rises with each independent source
+//   (distinct domain) that agrees. Its title/url/snippet come from the most confident report.
+//
+// History (live mode):
+//   assets/data/transfer-history.json remembers every deal across runs, keyed by deal id, so a
+//   saga outlives the lookback window. A deal in this run is the same saga when one of its reports
+//   was seen before, or when player + destination match an active or collapsed saga; it then keeps
+//   the saga's id. Each stage step up (watch -> contact -> advanced) is recorded with its date,
+//   source and headline, and a headline that reads as done (completes signing / has signed /
+//   unveiled) or as dead (collapsed / pulls out / deal off) closes the saga as "completed" or
+//   "collapsed". Hedged headlines (could / set to / ?) never close one. A later report past the
+//   stage a collapsed saga reached reopens it ("reopened" in the timeline).
+//   transfers.json items carry the saga's state and timeline; sagas quiet for longer than
+//   NETTHUD_TRANSFERS_HISTORY_DAYS are dropped from the history.
+//
+// Reliability (live mode):
+//   Keywords alone rate "here we go" on a minor blog the same as a club announcement, so each
+//   report's confidence is its keyword (or OpenAI) confidence times the reliability of whoever
+//   published it. assets/data/sources.json (hand-edited) maps domains and authors to tiers:
+//     { "defaultTier": "unknown",
+//       "tiers": { "tier1": { "label": "Tier 1", "reliability": 0.9 }, ... },
+//       "sources": [ { "name": "BBC Sport", "tier": "tier1", "domains": ["bbc.co.uk", "bbci.co.uk"] },
+//                    { "name": "Fabrizio Romano", "tier": "tier1", "authors": ["Fabrizio Romano"] } ] }
+//   A named author outranks the outlet; a domain matches its subdomains; anything unlisted gets
+//   defaultTier. Tier reliability is the prior share of a source's "advanced" reports that end in a
+//   completed deal; with the track record on, it is blended with the source's own record from the
+//   sagas in transfer-history.json that closed (completed vs collapsed), weighted as TRACK_PRIOR
+//   sagas, so a source earns or loses standing as its calls play out. Items and sources[] carry
+//   reliability: { key, name, tier, label, score, record? } and the unweighted textConfidence.
+//
 // Notes (legal / safety):
 //   - We store and show the original source domain as "source" and preserve item url.
 //   - Your UI can display a global disclaimer: "AI-generated signals; may be incorrect."
@@ -30,6 +88,8 @@
 
 import fs from "node:fs";
 import path from "node:path";
+import crypto from "node:crypto";
+import { parseFeedStream, htmlToText } from "./lib/feed-parser.mjs";
 
 function env(name, fallback = "") {
   const v = process.env[name];
@@ -49,6 +109,13 @@ function writeJson(filePath, data) {
   fs.writeFileSync(filePath, JSON.stringify(data, null, 2) + "\n", "utf8");
 }
 
+function readJsonIfExists(filePath) {
+  try {
+    if (!fs.existsSync(filePath)) return null;
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch { return null; }
+}
+
 function clampInt(n, min, max) {
   const x = Number(n);
   if (!Number.isFinite(x)) return min;
@@ -71,9 +138,9 @@ function minutesAgo(mins) {
 }
 
 // ------------------------------
-// Fetch helper (timeout + UA)
+// Fetch helper (timeout + UA); the body is parsed as it streams in
 // ------------------------------
-async function fetchText(url, timeoutMs = 12000) {
+async function fetchFeed(url, timeoutMs = 12000) {
   const ctrl = new AbortController();
   const t = setTimeout(() => ctrl.abort(), timeoutMs);
 
@@ -82,12 +149,13 @@ async function fetchText(url, timeoutMs = 12000) {
       method: "GET",
       headers: {
         "user-agent": "netthud-bot/1.0 (+https://netthud.com/)",
-        "accept": "application/rss+xml, application/xml, text/xml, text/plain, */*",
+        "accept": "application/rss+xml, application/atom+xml, application/feed+json, application/xml, text/xml, */*",
       },
       signal: ctrl.signal,
     });
     if (!res.ok) throw new Error(`HTTP ${res.status}`);
-    return await res.text();
+    const charset = (String(res.headers.get("content-type") || "").match(/charset=["']?([\w.-]+)/i) || [])[1] || "";
+    return await parseFeedStream(res.body, { baseUrl: url, charset });
   } finally {
     clearTimeout(t);
   }
@@ -133,79 +201,13 @@ function buildDemoItems(count, siteUrl) {
 }
 
 // ------------------------------
-// RSS parsing (no deps, best-effort)
+// Feed items (scripts/lib/feed-parser.mjs: RSS 1.0/2.0, Atom, JSON Feed)
 // ------------------------------
-function stripCdata(s) {
-  return String(s || "")
-    .replace(/<!\[CDATA\[/g, "")
-    .replace(/\]\]>/g, "")
-    .trim();
-}
-
-function decodeEntities(s) {
-  return String(s || "")
-    .replace(/&amp;/g, "&")
-    .replace(/&quot;/g, '"')
-    .replace(/&#39;/g, "'")
-    .replace(/&lt;/g, "<")
-    .replace(/&gt;/g, ">")
-    .trim();
-}
-
-function getTag(xml, tag) {
-  const re = new RegExp(`<${tag}[^>]*>([\\s\\S]*?)<\\/${tag}>`, "i");
-  const m = xml.match(re);
-  if (!m) return "";
-  return decodeEntities(stripCdata(m[1]));
-}
-
-function parseRssItems(xml) {
-  const items = [];
-
-  // RSS <item>
-  const rssMatches = xml.match(/<item[\s\S]*?<\/item>/gi) || [];
-  for (const chunk of rssMatches) {
-    const title = getTag(chunk, "title");
-    const link = getTag(chunk, "link");
-    const pubDate = getTag(chunk, "pubDate") || getTag(chunk, "published") || getTag(chunk, "updated");
-    const desc = getTag(chunk, "description") || getTag(chunk, "content:encoded");
-    if (title) items.push({ title, link, pubDate, desc });
-  }
-
-  // Atom <entry>
-  const atomMatches = xml.match(/<entry[\s\S]*?<\/entry>/gi) || [];
-  for (const chunk of atomMatches) {
-    const title = getTag(chunk, "title");
-    let link = "";
-    const linkMatch = chunk.match(/<link[^>]*href="([^"]+)"/i);
-    if (linkMatch) link = decodeEntities(linkMatch[1]);
-    const pubDate = getTag(chunk, "published") || getTag(chunk, "updated");
-    const desc = getTag(chunk, "summary") || getTag(chunk, "content");
-    if (title) items.push({ title, link, pubDate, desc });
-  }
-
-  return items
-    .map((x) => ({
-      title: (x.title || "").trim(),
-      link: (x.link || "").trim(),
-      pubDate: (x.pubDate || "").trim(),
-      desc: (x.desc || "").trim(),
-    }))
-    .filter((x) => x.title);
-}
-
 function parseDateMs(s) {
   const t = Date.parse(s);
   return Number.isFinite(t) ? t : null;
 }
 
-function stripHtml(s) {
-  return String(s || "")
-    .replace(/<[^>]+>/g, " ")
-    .replace(/\s+/g, " ")
-    .trim();
-}
-
 function pickSourceName(feedUrl) {
   try {
     const u = new URL(feedUrl);
@@ -242,11 +244,300 @@ function stageAndConfidenceFromText(text) {
   return { stage: "watch", confidence: 0.40 };
 }
 
+// how a report says the saga ended, if it does. Headline only: snippets carry background
+// ("…who signed for Palace in 2020"), and one false match closes a saga. Hedged headlines
+// ("could walk away", "set to sign", "deal off?") are not outcomes.
+const OUTCOME_HEDGE = /\?|\b(could|may|might|would|set to|poised to|expected to|likely|close to|closing in|ready to|threaten(s|ed)? to|consider(s|ing)?|weigh(s|ing)?|plan(s|ning)? to|if|unless)\b/i;
+const OUTCOME_COLLAPSED = /\b(collapsed?|called off|breaks? down|broken down|pulls? out of|pulled out of|walks? away|walked away|ends? (his |their )?interest|ended (his |their )?interest|abandon(s|ed)?|(deal|move|transfer|switch|talks) (is |are )?(now )?off)\b/i;
+const OUTCOME_COMPLETED = /\b(complet(e|es|ed) (the |his |their |a )?(signing|move|transfer|switch|deal)|ha(s|ve) signed|signs for|signed for|has joined|officially joins|confirms? (the )?signing|unveil(s|ed)?|announces? (the )?signing)\b/i;
+
+function outcomeFromText(title) {
+  // relative clauses are background, not news: "Spurs eye Eze, who signed for Palace"
+  const t = String(title || "").replace(/,\s*(who|which|whose|since|after)\b[^,;:]*/gi, "");
+  if (OUTCOME_HEDGE.test(t)) return "";
+  if (OUTCOME_COLLAPSED.test(t)) return "collapsed";
+  if (OUTCOME_COMPLETED.test(t)) return "completed";
+  return "";
+}
+
 function looksLikeTransfer(text) {
   const s = String(text || "").toLowerCase();
   return /(transfer|sign|signing|loan|deal|bid|talks|medical|joins|agreement|contract|release clause|fee)/i.test(s);
 }
 
+// ------------------------------
+// Entities: offline player / from / to / fee (no OpenAI needed)
+// ------------------------------
+// headline spellings football-data's names don't cover; keys are the names upcoming/scores use
+const CLUB_ALIASES = {
+  "Man United": ["Manchester United", "Man Utd"],
+  "Man City": ["Manchester City"],
+  "Tottenham": ["Tottenham Hotspur", "Spurs"],
+  "Newcastle": ["Newcastle United"],
+  "Brighton Hove": ["Brighton"],
+  "Wolverhampton": ["Wolves"],
+  "Nottingham": ["Nottingham Forest"],
+  "West Ham": ["West Ham United"],
+  "Barça": ["Barcelona", "Barca"],
+  "Atleti": ["Atletico Madrid", "Atletico"],
+  "Athletic": ["Athletic Bilbao", "Athletic Club"],
+  "Bayern": ["Bayern Munich", "Bayern Munchen"],
+  "Dortmund": ["Borussia Dortmund", "BVB"],
+  "Leverkusen": ["Bayer Leverkusen"],
+  "M'gladbach": ["Gladbach", "Borussia Monchengladbach"],
+  "Frankfurt": ["Eintracht Frankfurt"],
+  "1. FC Köln": ["Cologne"],
+  "Aston Villa": ["Villa"],
+  "Inter": ["Inter Milan", "Internazionale"],
+  "Milan": ["AC Milan"],
+  "Juventus": ["Juve"],
+  "PSG": ["Paris Saint-Germain", "Paris SG"],
+  "Olympique Lyon": ["Lyon"],
+  "Stade Rennais": ["Rennes"],
+  "SL Benfica": ["Benfica"],
+  "Sporting CP": ["Sporting Lisbon"],
+  "Olympiakos": ["Olympiacos"],
+  "Fenerbahçe": ["Fener"],
+};
+// club names that are also ordinary words; only their longer spellings count
+const AMBIGUOUS_CLUBS = new Set(["athletic", "sporting", "go ahead", "paris", "city", "united"]);
+// registration prefixes dropped for a short alias ("RC Lens" -> "lens", "FK Kairat" -> "kairat")
+const CLUB_PREFIXES = new Set(["sl", "sk", "cp", "ssc", "as", "us", "rc", "rcd", "ud", "cd", "sv", "vfb", "vfl", "tsg", "fk", "ogc", "osc", "rb", "sd", "bk", "ss"]);
+
+const PLAYER_BEFORE = new Set((
+  "striker forward winger midfielder defender goalkeeper keeper back playmaker star ace captain wonderkid teenager " +
+  "youngster talent target international sign signs signing land lands want wants eye eyes chase chasing " +
+  "monitor monitoring approach send sends sent " +
+  "yildizi golcusu forveti kanadi kalecisi kaptani oyuncusu stoperi"
+).split(" "));
+// "bid for X", "talks over X": not enough on their own for a one-word name
+const PLAYER_PREPS = new Set(["for", "on", "over"]);
+const PLAYER_AFTER = new Set((
+  "joins join signs sign completes agrees undergoes nears closes set has to from move transfer deal medical " +
+  "leaves leave returns rejoins exits quits " +
+  "ile transferi imzayi imza"
+).split(" "));
+const CLUB_OWNS = new Set((
+  "star striker forward winger midfielder defender goalkeeper keeper playmaker captain wonderkid teenager youngster talent ace " +
+  "yildizi golcusu forveti kanadi kalecisi kaptani oyuncusu stoperi"
+).split(" "));
+const CLUB_BUYS = new Set((
+  "sign signs agree agrees bid bids submit submits make makes table tables target targets want wants eye eyes plot plots " +
+  "chase chasing close closing complete completes confirm confirms announce announces open opens enter enters lead leads " +
+  "step steps launch launches consider considering monitor monitoring in keen interested push pushing"
+).split(" "));
+const CLUB_SELLS = new Set("reject rejects rejected accept accepts demand demands value values block blocks refuse refuses resist resists".split(" "));
+const TO_BEFORE = new Set("to join joins joined joining rejoin rejoins for".split(" "));
+const FROM_BEFORE = new Set("from leave leaves leaving quit quits exit exits ditch ditches".split(" "));
+// capitalised words that are not names: headline furniture, competitions, nationalities, Turkish filler
+const NOT_A_NAME = new Set((
+  "the a an how why what who when where which is are will would can could should here we go done exclusive official " +
+  "confirmed breaking live latest news update updates report reports sources source gossip rumour rumours transfer transfers " +
+  "window deal deals bid talks medical sign signs signing signed join joins agree agreed fee loan free summer january february " +
+  "march april may june july august september october november december monday tuesday wednesday thursday friday saturday sunday " +
+  "premier league la liga serie bundesliga ligue champions europa conference cup fa uefa fifa world euro super lig " +
+  "england spain italy germany france brazil argentina portugal netherlands turkey turkiye english spanish italian german french " +
+  "brazilian argentine portuguese dutch turkish manager boss coach head club clubs star striker midfielder winger forward defender " +
+  "goalkeeper keeper player players football soccer sport sports bbc sky guardian espn watch video podcast analysis opinion " +
+  "ratings v vs i my our their his her it this that these they he she you new first last after before with as at in on for from " +
+  "to of and or but not no all more big top best exclusive " +
+  "ve ile icin dakika resmi resmen flas bomba gundem teknik direktor sezon bonservis kiralik milyon euro avro sterlin"
+).split(" "));
+// "signing of X", "the sale of X"
+const DEAL_NOUNS = new Set("signing capture sale loan transfer arrival departure".split(" "));
+const NAME_PARTICLES = new Set(["de", "da", "do", "dos", "van", "von", "der", "den", "di", "du", "el", "al", "le", "la", "ten", "ter"]);
+
+const SUFFIX_TO = /^[yn]?[ae]$/;          // Galatasaray'a, Fenerbahce'ye
+const SUFFIX_FROM = /^n?[dt][ae]n$/;      // Galatasaray'dan, Besiktas'tan
+const SUFFIX_AT = /^n?[dt][ae]$/;         // Galatasaray'da: where he plays now
+const SUFFIX_OWNER = /^(s|n?[iu]n)$/;     // Chelsea's, Fenerbahce'nin
+const SUFFIX_OBJECT = /^[yn]?[iu]$/;      // Osimhen'i: the one being signed
+
+// dotless i does not decompose under NFD, so fold it before normName
+function foldName(s) {
+  return normName(String(s || "").replace(/[ıİ]/g, "i"));
+}
+
+function loadClubDictionary(dataDir) {
+  const clubs = new Set();
+  const fullNames = [];
+  for (const file of ["upcoming.json", "scores.json"]) {
+    for (const it of readJsonIfExists(path.join(dataDir, file))?.items || []) {
+      for (const c of [it?.home, it?.away]) if (c) clubs.add(String(c));
+    }
+  }
+  for (const comp of readJsonIfExists(path.join(dataDir, "standings.json"))?.items || []) {
+    for (const rows of Object.values(comp?.tables || {})) {
+      for (const r of Array.isArray(rows) ? rows : []) {
+        const short = String(r?.team?.shortName || r?.team?.name || "");
+        if (!short) continue;
+        clubs.add(short);
+        if (r.team.name) fullNames.push([r.team.name, short]);
+      }
+    }
+  }
+
+  const names = new Map(); // normalized spelling -> club as the rest of the site names it
+  const add = (alias, club) => {
+    const key = foldName(alias);
+    if (key && !AMBIGUOUS_CLUBS.has(key) && !names.has(key)) names.set(key, club);
+  };
+  for (const club of clubs) add(club, club);
+  for (const club of clubs) {
+    add(foldName(club).split(" ").filter((w) => !CLUB_PREFIXES.has(w) && !/^\d+$/.test(w)).join(" "), club);
+  }
+  for (const [name, club] of fullNames) add(name, club);
+  for (const club of clubs) for (const alias of CLUB_ALIASES[club] || []) add(alias, club);
+
+  const maxLen = Math.max(1, ...[...names.keys()].map((k) => k.split(" ").length));
+  return { names, maxLen };
+}
+
+// words with their spans; "suffix" marks the part after an apostrophe (Chelsea's, Galatasaray'a)
+function wordTokens(text) {
+  const out = [];
+  for (const m of String(text || "").matchAll(/[\p{L}\p{N}]+/gu)) {
+    const prev = text[m.index - 1] || "";
+    out.push({ raw: m[0], norm: foldName(m[0]), start: m.index, end: m.index + m[0].length, suffix: prev === "'" || prev === "’" });
+  }
+  return out;
+}
+
+const capitalised = (tok) => /^[\p{Lu}\p{N}]/u.test(tok.raw);
+
+function findClubs(tokens, dict) {
+  const hits = [];
+  for (let i = 0; i < tokens.length; i++) {
+    if (tokens[i].suffix || !capitalised(tokens[i])) continue;
+    for (let n = Math.min(dict.maxLen, tokens.length - i); n > 0; n--) {
+      const club = dict.names.get(tokens.slice(i, i + n).map((t) => t.norm).join(" "));
+      if (!club) continue;
+      hits.push({ club, i, j: i + n - 1 });
+      i += n - 1;
+      break;
+    }
+  }
+  return hits;
+}
+
+// strong cues first (prepositions, suffixes, possessives), then the club's verb
+function clubRole(hit, tokens, text) {
+  const before = tokens[hit.i - 1];
+  const next = tokens[hit.j + 1];
+  const suffix = next?.suffix ? next.norm : "";
+  const after = tokens[hit.j + (suffix ? 2 : 1)];
+
+  if (suffix && SUFFIX_FROM.test(suffix)) return { role: "from", strength: 3 };
+  if (suffix && SUFFIX_TO.test(suffix)) return { role: "to", strength: 3 };
+  if (suffix && SUFFIX_OWNER.test(suffix)) return { role: "from", strength: 3 };
+  if (before && !before.suffix && FROM_BEFORE.has(before.norm)) return { role: "from", strength: 3 };
+  if (after && CLUB_OWNS.has(after.norm)) return { role: "from", strength: 2 };
+  if (before && !before.suffix && TO_BEFORE.has(before.norm)) return { role: "to", strength: before.norm === "for" ? 1 : 3 };
+  if (suffix && SUFFIX_AT.test(suffix)) return { role: "from", strength: 1 };
+  if (!suffix && after && CLUB_SELLS.has(after.norm)) return { role: "from", strength: 2 };
+  if (!suffix && after && CLUB_BUYS.has(after.norm)) return { role: "to", strength: 2 };
+  // Turkish headlines open with the buying club: "Galatasaray, Osimhen'i açıkladı"
+  if (!suffix && text[tokens[hit.j].end] === "," && hit.i === 0) return { role: "to", strength: 2 };
+  return { role: "", strength: 0 };
+}
+
+function findPlayer(tokens, hits, text) {
+  const inClub = new Set(hits.flatMap((h) => Array.from({ length: h.j - h.i + 1 }, (_, k) => h.i + k)));
+  const owners = new Set(hits.filter((h) => tokens[h.j + 1]?.suffix && SUFFIX_OWNER.test(tokens[h.j + 1].norm)).map((h) => h.j + 2));
+  const nameWord = (k) => !inClub.has(k) && !tokens[k].suffix && /^\p{Lu}/u.test(tokens[k].raw) && !NOT_A_NAME.has(tokens[k].norm) &&
+    (tokens[k].raw.length > 1 || !!tokens[k + 1]?.suffix);
+  // one space or hyphen between words (Alexander-Arnold), an apostrophe before a suffix token
+  const joined = (a, b) => /^([ -]|['’])$/.test(text.slice(tokens[a].end, tokens[b].start));
+
+  let best = null;
+  for (let i = 0; i < tokens.length; i++) {
+    if (!nameWord(i)) continue;
+    let j = i;
+    while (j + 1 < tokens.length && j - i < 3 && joined(j, j + 1)) {
+      const nx = tokens[j + 1];
+      if (nameWord(j + 1)) { j++; continue; }
+      // lower-case after a hyphen: Son Heung-min
+      if (text[nx.start - 1] === "-" && !nx.suffix && !NOT_A_NAME.has(nx.norm)) { j++; continue; }
+      // particles (van, de) inside a name, O'Brien-style apostrophes
+      if (NAME_PARTICLES.has(nx.raw) && j + 2 < tokens.length && nameWord(j + 2) && joined(j + 1, j + 2)) { j += 2; continue; }
+      if (nx.suffix && tokens[j].raw.length === 1) { j++; continue; }
+      break;
+    }
+
+    const before = tokens[i - 1];
+    const next = tokens[j + 1];
+    const after = next?.suffix ? tokens[j + 2] : next;
+    let score = j > i ? 1 : 0;
+    if (before && !before.suffix && PLAYER_BEFORE.has(before.norm)) score += before.norm.length > 4 ? 3 : 2;
+    if (before && !before.suffix && PLAYER_PREPS.has(before.norm)) score += 1;
+    if (before?.norm === "of" && DEAL_NOUNS.has(tokens[i - 2]?.norm)) score += 3;
+    // Turkish headlines open with the player: "Osimhen, Napoli'den Galatasaray'a ..."
+    if (i === 0 && hits.length && text[tokens[j].end] === ",") score += 2;
+    if (owners.has(i) || (before && inClub.has(i - 1))) score += 2;
+    if (next?.suffix && SUFFIX_OBJECT.test(next.norm)) score += 2;
+    if (after && PLAYER_AFTER.has(after.norm)) score += 2;
+
+    if (score >= 2 && (!best || score > best.score)) {
+      best = { score, name: text.slice(tokens[i].start, tokens[j].end) };
+    }
+    i = j;
+  }
+  return best ? best.name : "";
+}
+
+function feeFromText(text) {
+  const t = String(text || "");
+  const currency = { "€": "€", "£": "£", "$": "$", euro: "€", euros: "€", avro: "€", pound: "£", pounds: "£", sterlin: "£", dollar: "$", dollars: "$", dolar: "$" };
+  const unit = (u) => (/^(bn|billion|milyar)$/i.test(u) ? "bn" : /^k$/i.test(u) ? "k" : "m");
+  const num = (n) => String(Number(n.replace(",", ".")));
+
+  let amount = "";
+  const sym = t.match(/([€£$])\s?(\d+(?:[.,]\d+)?)\s?(bn|billion|milyar|m|mn|million|milyon|k)(?![\p{L}])/iu);
+  const word = t.match(/(\d+(?:[.,]\d+)?)\s?(bn|billion|milyar|m|mn|million|milyon)\s?(euros?|avro|pounds?|sterlin|dollars?|dolar|€|£|\$)/iu);
+  if (sym) amount = `${sym[1]}${num(sym[2])}${unit(sym[3])}`;
+  else if (word) amount = `${currency[word[3].toLowerCase()]}${num(word[1])}${unit(word[2])}`;
+
+  let term = "";
+  if (/(free transfer|on a free|free agent|bonservissiz|serbest oyuncu)/i.test(t)) term = "free";
+  if (/(loan|kiral[ıi]k)/i.test(t)) {
+    term = /(obligation to (buy|purchase)|zorunlu sat[ıi]n alma|sat[ıi]n alma zorunlulu)/i.test(t) ? "loan with obligation to buy"
+      : /(option to (buy|purchase|make (it|the move) permanent)|sat[ıi]n alma opsiyon)/i.test(t) ? "loan with option to buy"
+      : "loan";
+  }
+  return term && amount ? `${term} (${amount})` : term || amount;
+}
+
+function entitiesFromText(text, dict) {
+  const tokens = wordTokens(text);
+  const hits = findClubs(tokens, dict);
+  const roles = hits.map((h) => ({ club: h.club, ...clubRole(h, tokens, text) }));
+  const pick = (role) => roles.filter((r) => r.role === role).sort((a, b) => b.strength - a.strength)[0]?.club || "";
+
+  // an unmarked club is most likely the buyer: headlines lead with who is signing
+  const to = pick("to") || roles.find((r) => !r.role)?.club || "";
+  let from = pick("from");
+  if (from === to) from = "";
+  return { player: findPlayer(tokens, hits, text), from, to, fee: feeFromText(text) };
+}
+
+// fills only empty fields, headline first, then the snippet
+function extractEntities(items, dict) {
+  let named = 0;
+  const out = items.map((x) => {
+    const head = entitiesFromText(x.title, dict);
+    const body = entitiesFromText(x.snippet, dict);
+    const pick = (k) => String(x[k] || "").trim() || head[k] || body[k] || "";
+    const to = pick("to");
+    let from = pick("from");
+    if (from === to) from = "";
+    const player = pick("player");
+    if (player) named++;
+    return { ...x, player, from, to, fee: pick("fee") };
+  });
+  console.log(`Entities: ${named}/${items.length} items with a player (${dict.names.size} club spellings)`);
+  return out;
+}
+
 // ------------------------------
 // Optional OpenAI enrichment (strict JSON)
 // Uses Responses API (recommended), returns a JSON array of same length.
@@ -273,6 +564,7 @@ stage (one of "advanced","contact","watch"),
 confidence (number 0..1),
 cleanTitle (short string).
 If unknown, use empty strings. Keep stage/confidence consistent with the text.
+Each input has a rule-based "guess"; keep its values when the text supports them, correct them otherwise.
 `;
 
   const input = top.map((x) => ({
@@ -280,6 +572,7 @@ If unknown, use empty strings. Keep stage/confidence consistent with the text.
     snippet: x.snippet || "",
     source: x.source || "",
     url: x.url || "",
+    guess: { player: x.player || "", fromClub: x.from || "", toClub: x.to || "", fee: x.fee || "" },
   }));
 
   // Responses API
@@ -348,6 +641,343 @@ If unknown, use empty strings. Keep stage/confidence consistent with the text.
   return merged;
 }
 
+// ------------------------------
+// Deals: cluster reports of the same move across sources
+// ------------------------------
+const STAGE_RANK = { watch: 0, contact: 1, advanced: 2 };
+const AGREE_WEIGHT = 0.35;   // how much a second, independent source adds (noisy-OR, discounted)
+const CONFIDENCE_CAP = 0.97;
+const TITLE_SIMILARITY = 0.45;
+
+// words every transfer headline shares; they say nothing about which deal it is
+const TITLE_STOPWORDS = new Set((
+  "a an the and or of to in on at for from with as by is are be been set after over into his her their " +
+  "its it this that new deal deals transfer transfers news latest live gossip rumour rumours rumor rumors " +
+  "sign signs signing signed join joins move moves bid bids talks agree agreed agreement fee loan medical " +
+  "here we go close closer nearing target targets want wants eye eyes eyeing linked interest interested " +
+  "could would may might will says say report reports claim claims club clubs football fc"
+).split(" "));
+
+function normName(s) {
+  return String(s || "").toLowerCase()
+    .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+    .replace(/\b(fc|cf|afc|sc|ac)\b/g, " ")
+    .replace(/[^a-z0-9 ]/g, " ")
+    .replace(/\s+/g, " ").trim();
+}
+
+function titleTokens(title) {
+  return new Set(normName(title).split(" ").filter((w) => w.length > 2 && !TITLE_STOPWORDS.has(w)));
+}
+
+function jaccard(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const w of a) if (b.has(w)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+// "Hugo Ekitike" / "Ekitike" and "Rodrygo Goes" / "Rodrygo" are the same player: every word
+// of the shorter name appears in the longer one
+function samePlayer(a, b) {
+  if (a === b) return true;
+  const [short, long] = a.length <= b.length ? [a, b] : [b, a];
+  const words = new Set(long.split(" "));
+  return short.split(" ").every((w) => words.has(w));
+}
+
+// a one-word name inside a longer one ("Silva" / "Bernardo Silva") could as well be Thiago Silva
+function surnameOnly(a, b) {
+  if (a === b) return false;
+  const [short, long] = a.length <= b.length ? [a, b] : [b, a];
+  return !short.includes(" ") && long.includes(" ");
+}
+
+const sameClub = (deal, r) => (!!deal.to && deal.to === r.to) || (!!deal.from && deal.from === r.from);
+
+function reportFacts(x) {
+  return { player: normName(x.player), to: normName(x.to), from: normName(x.from), tokens: titleTokens(x.title) };
+}
+
+// null = cannot be the same deal; otherwise a score to pick the best cluster
+function dealMatch(deal, r) {
+  if (deal.player && r.player) {
+    if (!samePlayer(deal.player, r.player)) return null;
+    if (deal.to && r.to && deal.to !== r.to) return null;
+    if (surnameOnly(deal.player, r.player) && !sameClub(deal, r)) return null;
+    return 2 + jaccard(deal.tokens, r.tokens);
+  }
+  if (deal.to && r.to && deal.to !== r.to) return null;
+  // one side has no extracted player: the other's player named in the headline is enough,
+  // though a surname alone needs the clubs to agree as well
+  const named = (p, tokens) => {
+    const words = (p || "").split(" ").filter((w) => w.length > 2);
+    const hits = words.filter((w) => tokens.has(w)).length;
+    return hits > 0 && (hits >= 2 || words.length === 1 || sameClub(deal, r));
+  };
+  if (named(deal.player, r.tokens) || named(r.player, deal.tokens)) return 1 + jaccard(deal.tokens, r.tokens);
+  const sim = jaccard(deal.tokens, r.tokens);
+  return sim >= TITLE_SIMILARITY ? sim : null;
+}
+
+function dealConfidence(reports) {
+  // best report per source: one outlet repeating itself is not agreement
+  const bySource = new Map();
+  for (const r of reports) {
+    const c = clamp01(r.confidence) ?? 0;
+    const key = String(r.source || r.url || "").toLowerCase();
+    if (!bySource.has(key) || bySource.get(key) < c) bySource.set(key, c);
+  }
+  const [best, ...others] = [...bySource.values()].sort((a, b) => b - a);
+  let doubt = 1 - (best ?? 0);
+  for (const c of others) doubt *= 1 - AGREE_WEIGHT * c;
+  return Math.round(Math.min(CONFIDENCE_CAP, 1 - doubt) * 100) / 100;
+}
+
+function mergeDeal(reports) {
+  const byConfidence = reports.slice().sort((a, b) =>
+    (clamp01(b.confidence) ?? 0) - (clamp01(a.confidence) ?? 0) ||
+    String(b.publishedAt || "").localeCompare(String(a.publishedAt || "")));
+  const byTime = reports.slice().sort((a, b) => String(a.publishedAt || "").localeCompare(String(b.publishedAt || "")));
+  const lead = byConfidence[0];
+  const field = (k) => byConfidence.map((r) => String(r[k] || "").trim()).find(Boolean) || "";
+  const stage = reports.map((r) => r.stage).reduce((a, b) => ((STAGE_RANK[b] ?? 0) > (STAGE_RANK[a] ?? 0) ? b : a), "watch");
+
+  return {
+    ...lead,
+    id: byTime[0].id,
+    player: field("player"),
+    from: field("from"),
+    to: field("to"),
+    fee: field("fee"),
+    image: field("image"),
+    status: stage,
+    stage,
+    confidence: dealConfidence(reports),
+    publishedAt: byTime[byTime.length - 1].publishedAt,
+    firstSeenAt: byTime[0].publishedAt,
+    sources: byTime.reverse().map((r) => ({
+      id: r.id,
+      source: r.source,
+      title: r.title,
+      url: r.url,
+      ...(r.author ? { author: r.author } : {}),
+      publishedAt: r.publishedAt,
+      stage: r.stage,
+      confidence: r.confidence,
+      ...(r.reliability ? { reliability: r.reliability } : {}),
+      ...(r.outcome ? { outcome: r.outcome } : {}),
+    })),
+  };
+}
+
+function clusterDeals(items) {
+  const deals = []; // { player, to, tokens, reports }
+  const newestFirst = items.slice().sort((a, b) => String(b.publishedAt || "").localeCompare(String(a.publishedAt || "")));
+
+  for (const item of newestFirst) {
+    const r = reportFacts(item);
+    let best = null;
+    let bestScore = -1;
+    for (const d of deals) {
+      const score = dealMatch(d, r);
+      if (score != null && score > bestScore) { best = d; bestScore = score; }
+    }
+    if (!best) {
+      deals.push({ ...r, reports: [item] });
+      continue;
+    }
+    best.reports.push(item);
+    if (r.player.length > best.player.length) best.player = r.player; // "Silva" -> "Bernardo Silva"
+    best.to = best.to || r.to;
+    best.from = best.from || r.from;
+    for (const w of r.tokens) best.tokens.add(w);
+  }
+
+  return deals
+    .map((d) => mergeDeal(d.reports))
+    .sort((a, b) => String(b.publishedAt || "").localeCompare(String(a.publishedAt || "")));
+}
+
+// ------------------------------
+// History: one saga per deal across runs
+// ------------------------------
+const TIMELINE_MAX = 30;
+const REPORT_IDS_MAX = 100;
+
+// sagas already matched in this run are skipped, so two deals never share an id
+function findSaga(sagas, deal, used) {
+  const open = Object.values(sagas).filter((s) => !used.has(s.id));
+  const ids = new Set(deal.sources.map((r) => r.id));
+  const seen = open.find((s) => s.reports.some((id) => ids.has(id)));
+  if (seen) return seen;
+  const player = normName(deal.player);
+  const to = normName(deal.to);
+  if (!player || !to) return null;
+  // a collapsed saga can be revived (see applyHistory); a completed one is over
+  const same = (s) => normName(s.to) === to && s.player && samePlayer(normName(s.player), player);
+  return open.find((s) => s.state === "active" && same(s)) || open.find((s) => s.state === "collapsed" && same(s)) || null;
+}
+
+function applyHistory(deals, historyFile, keepDays, now = isoNow()) {
+  const prev = readJsonIfExists(historyFile);
+  const sagas = prev && prev.sagas && typeof prev.sagas === "object" ? prev.sagas : {};
+
+  const used = new Set();
+  const items = deals.map((deal) => {
+    let saga = findSaga(sagas, deal, used);
+    if (!saga) {
+      const id = [deal.id, ...deal.sources.map((r) => r.id)].find((x) => !sagas[x]) || deal.id;
+      saga = { id, player: "", from: "", to: "", state: "active", stage: "", firstSeenAt: deal.firstSeenAt || now, reports: [], timeline: [] };
+      sagas[id] = saga;
+    }
+    saga.advancedBy = Array.isArray(saga.advancedBy) ? saga.advancedBy : [];
+    used.add(saga.id);
+    for (const k of ["player", "from", "to"]) saga[k] = saga[k] || deal[k] || "";
+    saga.lastSeenAt = now;
+
+    // oldest first, so each step is dated by the report that first showed it
+    const fresh = deal.sources.filter((r) => !saga.reports.includes(r.id)).reverse();
+    for (const r of fresh) {
+      const step = { at: r.publishedAt, source: r.source, title: r.title, url: r.url };
+      // talks back on: a later report past the stage the saga reached reopens a collapsed one
+      if (saga.state === "collapsed" && !r.outcome && (STAGE_RANK[r.stage] ?? 0) > (STAGE_RANK[saga.stage] ?? -1)) {
+        saga.state = "active";
+        saga.timeline.push({ ...step, stage: saga.stage, event: "reopened" });
+      }
+      if ((STAGE_RANK[r.stage] ?? 0) > (STAGE_RANK[saga.stage] ?? -1)) {
+        saga.stage = r.stage;
+        saga.timeline.push({ ...step, stage: r.stage });
+      }
+      // who called it "advanced" while it was still open; the report that closes it proves nothing
+      const key = r.reliability?.key;
+      if (key && r.stage === "advanced" && !r.outcome && saga.state === "active" && !saga.advancedBy.includes(key)) {
+        saga.advancedBy.push(key);
+      }
+      if (r.outcome && saga.state === "active") {
+        saga.state = r.outcome;
+        saga.timeline.push({ ...step, stage: saga.stage, event: r.outcome });
+      }
+      saga.reports.push(r.id);
+    }
+    saga.reports = saga.reports.slice(-REPORT_IDS_MAX);
+    saga.timeline = saga.timeline.slice(-TIMELINE_MAX);
+
+    return {
+      ...deal,
+      id: saga.id,
+      stage: saga.stage,
+      status: saga.stage,
+      state: saga.state,
+      firstSeenAt: saga.firstSeenAt,
+      timeline: saga.timeline,
+    };
+  });
+
+  const cutoff = Date.parse(now) - keepDays * 24 * 3600_000;
+  const kept = Object.fromEntries(Object.entries(sagas).filter(([, s]) => (Date.parse(s.lastSeenAt) || 0) >= cutoff));
+  writeJson(historyFile, { generatedAt: now, keepDays, sagas: kept });
+  console.log(`History: ${Object.keys(kept).length} sagas (${Object.keys(sagas).length - Object.keys(kept).length} dropped) -> ${historyFile}`);
+
+  return items;
+}
+
+// ------------------------------
+// Reliability: source tiers (assets/data/sources.json) + track record
+// ------------------------------
+const DEFAULT_RELIABILITY = 0.6;
+const TRACK_PRIOR = 5; // the tier counts as this many closed sagas next to a source's own record
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, "").toLowerCase();
+  } catch {
+    return "";
+  }
+}
+
+function loadSourceRegistry(filePath) {
+  const raw = readJsonIfExists(filePath) || {};
+  const tiers = {};
+  for (const [key, tier] of Object.entries(raw.tiers && typeof raw.tiers === "object" ? raw.tiers : {})) {
+    const reliability = clamp01(tier?.reliability);
+    if (reliability != null) tiers[key] = { label: String(tier.label || key), reliability };
+  }
+  const defaultTier = String(raw.defaultTier || "unknown");
+  if (!tiers[defaultTier]) tiers[defaultTier] = { label: "Unrated", reliability: DEFAULT_RELIABILITY };
+
+  const entries = [];
+  for (const x of Array.isArray(raw.sources) ? raw.sources : []) {
+    if (!x || !tiers[x.tier]) {
+      console.warn(`⚠️ sources.json: unknown tier "${x?.tier}" for ${x?.name || "a source"}, skipped`);
+      continue;
+    }
+    entries.push({
+      name: String(x.name || ""),
+      tier: x.tier,
+      domains: (Array.isArray(x.domains) ? x.domains : []).map((d) => String(d).toLowerCase().replace(/^www\./, "")).filter(Boolean),
+      authors: (Array.isArray(x.authors) ? x.authors : []).map(normName).filter(Boolean),
+    });
+  }
+  return { tiers, defaultTier, entries };
+}
+
+// a named author outranks the outlet that runs the story
+function lookupSource(registry, r) {
+  const author = ` ${normName(r.author)} `;
+  for (const e of registry.entries) {
+    const a = e.authors.find((x) => author.includes(` ${x} `));
+    if (a) return { key: `author:${a}`, name: e.name || r.author, tier: e.tier };
+  }
+  const hosts = [hostOf(r.url), String(r.source || "").toLowerCase()].filter(Boolean);
+  for (const e of registry.entries) {
+    const d = e.domains.find((x) => hosts.some((h) => h === x || h.endsWith("." + x)));
+    if (d) return { key: d, name: e.name || d, tier: e.tier };
+  }
+  const key = hosts[hosts.length - 1] || "";
+  return { key, name: key, tier: registry.defaultTier };
+}
+
+// per source: closed sagas it had called "advanced", and how many of those completed
+function trackRecords(history) {
+  const out = {};
+  for (const saga of Object.values(history?.sagas || {})) {
+    if (saga.state !== "completed" && saga.state !== "collapsed") continue;
+    for (const key of Array.isArray(saga.advancedBy) ? saga.advancedBy : []) {
+      const rec = out[key] || (out[key] = { completed: 0, closed: 0 });
+      rec.closed++;
+      if (saga.state === "completed") rec.completed++;
+    }
+  }
+  return out;
+}
+
+function applyReliability(items, registry, records) {
+  return items.map((x) => {
+    const src = lookupSource(registry, x);
+    const tier = registry.tiers[src.tier];
+    const record = src.key ? records[src.key] : null;
+    const score = record
+      ? (tier.reliability * TRACK_PRIOR + record.completed) / (TRACK_PRIOR + record.closed)
+      : tier.reliability;
+    const textConfidence = clamp01(x.confidence) ?? 0;
+
+    return {
+      ...x,
+      textConfidence,
+      confidence: Math.round(textConfidence * score * 100) / 100,
+      reliability: {
+        key: src.key,
+        name: src.name,
+        tier: src.tier,
+        label: tier.label,
+        score: Math.round(score * 100) / 100,
+        ...(record ? { record } : {}),
+      },
+    };
+  });
+}
+
 // ------------------------------
 // LIVE mode: build signals from RSS
 // ------------------------------
@@ -375,20 +1005,21 @@ async function buildLiveItems(count, siteUrl) {
 
   for (const feedUrl of feeds) {
     try {
-      const xml = await fetchText(feedUrl, 14000);
-      const rssItems = parseRssItems(xml);
+      const feed = await fetchFeed(feedUrl, 14000);
 
-      for (const it of rssItems) {
+      for (const it of feed.items) {
+        if (!it.title) continue;
         const ts = parseDateMs(it.pubDate) ?? Date.now();
         if (ts < cutoff) continue;
 
-        const snippet = stripHtml(it.desc).slice(0, 260);
+        const snippet = htmlToText(it.desc).slice(0, 260);
         const text = (it.title || "") + " " + snippet;
 
-        if (!looksLikeTransfer(text)) continue;
+        if (!looksLikeTransfer(`${text} ${it.categories.join(" ")}`)) continue;
 
         const sc = stageAndConfidenceFromText(text);
         const src = pickSourceName(feedUrl);
+        const outcome = outcomeFromText(it.title);
 
         all.push({
           player: "",
@@ -398,10 +1029,15 @@ async function buildLiveItems(count, siteUrl) {
           status: sc.stage,      // kept for backward compatibility
           stage: sc.stage,       // advanced|contact|watch
           confidence: sc.confidence,
+          ...(outcome ? { outcome } : {}),
           title: (it.title || "").trim(),
           source: src,
+          ...(it.author ? { author: it.author } : {}),
+          ...(it.image ? { image: it.image } : {}),
+          ...(it.categories.length ? { categories: it.categories } : {}),
+          ...(it.guid ? { guid: it.guid } : {}),
           publishedAt: new Date(ts).toISOString(),
-          url: it.link || siteUrl,
+          url: /^https?:\/\//i.test(it.link) ? it.link : siteUrl,
           snippet,
           aiGenerated: true,
           disclaimer: "AI-generated signal; may be incorrect.",
@@ -413,11 +1049,12 @@ async function buildLiveItems(count, siteUrl) {
     }
   }
 
-  // de-dup by (normalized title)
+  // de-dup the same article listed in several feeds; the same story from different outlets
+  // is grouped into one deal later (clusterDeals), and each outlet counts as a source there
   const seen = new Set();
   const dedup = [];
   for (const x of all.sort((a, b) => String(b.publishedAt || "").localeCompare(String(a.publishedAt || "")))) {
-    const k = String(x.title || "").toLowerCase().trim();
+    const k = x.url && x.url !== siteUrl ? x.url : x.guid ? `${x.source}|${x.guid}` : `${x.source}|${String(x.title || "").toLowerCase().trim()}`;
     if (!k || seen.has(k)) continue;
     seen.add(k);
     dedup.push(x);
@@ -427,23 +1064,38 @@ async function buildLiveItems(count, siteUrl) {
   return dedup.slice(0, Math.max(10, Math.min(count, 300)));
 }
 
+function signalId(x, siteUrl) {
+  const key = x.url && x.url !== siteUrl ? x.url : x.guid || x.title;
+  return "transfer:" + crypto.createHash("sha1").update(String(key || "")).digest("hex").slice(0, 16);
+}
+const withIds = (items, siteUrl) => items.map((x) => ({ id: signalId(x, siteUrl), ...x }));
+
 async function main() {
   const mode = env("NETTHUD_TRANSFERS_MODE", "demo").toLowerCase();
   const siteUrl = env("NETTHUD_SITE_URL", "https://netthud.com/");
   const itemsCount = clampInt(env("NETTHUD_TRANSFERS_ITEMS", "120"), 10, 300);
 
-  const outFile = path.join(process.cwd(), "assets", "data", "transfers.json");
+  const dataDir = path.join(process.cwd(), "assets", "data");
+  const outFile = path.join(dataDir, "transfers.json");
+  const historyFile = path.join(dataDir, "transfer-history.json");
+  const historyDays = clampInt(env("NETTHUD_TRANSFERS_HISTORY_DAYS", "90"), 1, 365);
+  const sourcesFile = path.join(dataDir, "sources.json");
+  const useTrackRecord = env("NETTHUD_TRANSFERS_TRACK_RECORD", "1") !== "0";
 
   let items = [];
 
   if (mode === "demo") {
-    items = buildDemoItems(itemsCount, siteUrl);
+    items = clusterDeals(withIds(buildDemoItems(itemsCount, siteUrl), siteUrl));
   } else if (mode === "live") {
-    items = await buildLiveItems(itemsCount, siteUrl);
+    items = withIds(await buildLiveItems(itemsCount, siteUrl), siteUrl);
+    items = extractEntities(items, loadClubDictionary(dataDir));
     items = await enrichWithOpenAI(items);
+    const records = useTrackRecord ? trackRecords(readJsonIfExists(historyFile)) : {};
+    items = clusterDeals(applyReliability(items, loadSourceRegistry(sourcesFile), records));
 
-    // If still empty, don’t break UI
-    if (!items.length) items = buildDemoItems(Math.min(itemsCount, 16), siteUrl);
+    // If still empty, don’t break UI (and keep demo deals out of the history)
+    if (items.length) items = applyHistory(items, historyFile, historyDays);
+    else items = clusterDeals(withIds(buildDemoItems(Math.min(itemsCount, 16), siteUrl), siteUrl));
   } else {
     throw new Error(`Unsupported NETTHUD_TRANSFERS_MODE="${mode}". Use "demo" or "live".`);
   }
@@ -7,6 +7,29 @@
 //   NETTHUD_UPCOMING_DAYS=7
 //   NETTHUD_UPCOMING_LIMIT=80 (0 = no limit)
 //   NETTHUD_UPCOMING_COMP_CODES=PL,PD,SA,BL1,FL1,CL,EL,TSL (optional override)
+//   NETTHUD_STANDINGS_MAX_AGE_HOURS=12 (reuse assets/data/standings.json tables when fresher than this)
+//
+// TV listings come from assets/data/tv.json (per region):
+//   { "defaultRegion": "US",
+//     "regions": ["US", "UK", "TR", "DE"],
+//     "competitions": { "PL": { "US": ["NBC", "Peacock"], "UK": ["Sky Sports"] }, ... },
+//     "overrides": [ { "matchId": 537625, "tv": { "US": ["USA Network"] } },
+//                    { "competitionCode": "PL", "home": "Arsenal", "away": "Chelsea", "tv": { "UK": ["TNT Sports"] } } ] }
+// A plain array instead of a region map means "defaultRegion only"; overrides only
+// replace the regions they name. The legacy flat shape { "PL": [...], ... } is still accepted.
+// Each item gets tv: { US: [...], UK: [...], ... }; competitions without a mapping
+// are listed per region in upcoming.json as tvMissing: { US: [...], ... }.
+//
+// Ids: id is "match:<matchId>", shared with scores.json and the archive, so one permalink
+// follows a fixture from upcoming to live to final.
+//
+// Times: kickoffUTC is the source of truth; index.html renders it in the viewer's (or picked) zone.
+// kickoffLocal is an Eastern-time label kept for older clients.
+//
+// Predictions:
+// - Every fixture that hasn't kicked off is also stored in assets/data/predictions.json
+//   (keyed by matchId; the latest pre-kickoff prediction wins). generate-scores.mjs
+//   settles them with the final result and generate-model-report.mjs scores them.
 //
 // Fail-safe behavior:
 // - On 429/temporary errors: reuse existing assets/data/upcoming.json and exit 0
@@ -72,6 +95,74 @@ function parseCompAllowlistWithOrder() {
   return { set: new Set(ordered), ordered };
 }
 
+// ------------------------------
+// TV listings (assets/data/tv.json)
+// ------------------------------
+function normTeam(s) {
+  return safeStr(s).toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "").replace(/[^a-z0-9]+/g, " ").trim();
+}
+
+function cleanChannels(arr) {
+  return Array.isArray(arr) ? arr.map(x => safeStr(x).trim()).filter(Boolean) : [];
+}
+
+function regionMap(value, defaultRegion) {
+  if (Array.isArray(value)) return { [defaultRegion]: cleanChannels(value) };
+  const out = {};
+  if (value && typeof value === "object") {
+    for (const [region, channels] of Object.entries(value)) out[region.toUpperCase()] = cleanChannels(channels);
+  }
+  return out;
+}
+
+function loadTvConfig(filePath) {
+  const raw = readJsonIfExists(filePath) || {};
+  const defaultRegion = safeStr(raw.defaultRegion || "US").toUpperCase();
+  const byComp = raw.competitions && typeof raw.competitions === "object" ? raw.competitions : raw;
+  const reserved = new Set(["competitions", "overrides", "regions", "defaultRegion"]);
+
+  const competitions = new Map();
+  const seenRegions = new Set([defaultRegion]);
+  for (const [code, channels] of Object.entries(byComp)) {
+    if (reserved.has(code)) continue;
+    const byRegion = regionMap(channels, defaultRegion);
+    Object.keys(byRegion).forEach(r => seenRegions.add(r));
+    competitions.set(code.toUpperCase(), byRegion);
+  }
+
+  const regions = Array.isArray(raw.regions) && raw.regions.length
+    ? raw.regions.map(r => safeStr(r).toUpperCase()).filter(Boolean)
+    : [...seenRegions];
+
+  const overrides = Array.isArray(raw.overrides) ? raw.overrides : [];
+  return { defaultRegion, regions, competitions, overrides };
+}
+
+function findTvOverride(tvConfig, { matchId, competitionCode, home, away, kickoffUTC }) {
+  for (const o of tvConfig.overrides) {
+    if (o?.matchId != null) {
+      if (String(o.matchId) === String(matchId)) return o;
+      continue;
+    }
+    if (!o?.home || !o?.away) continue;
+    if (o.competitionCode && safeStr(o.competitionCode).toUpperCase() !== competitionCode) continue;
+    if (normTeam(o.home) !== normTeam(home) || normTeam(o.away) !== normTeam(away)) continue;
+    if (o.date && safeStr(kickoffUTC).slice(0, 10) !== safeStr(o.date)) continue;
+    return o;
+  }
+  return null;
+}
+
+function resolveTv(tvConfig, fixture) {
+  const base = tvConfig.competitions.get(fixture.competitionCode) || {};
+  const override = findTvOverride(tvConfig, fixture);
+  const merged = { ...base, ...(override ? regionMap(override.tv, tvConfig.defaultRegion) : {}) };
+
+  const tv = {};
+  for (const region of tvConfig.regions) tv[region] = merged[region] || [];
+  return tv;
+}
+
 function parseLimit() {
   const raw = env("NETTHUD_UPCOMING_LIMIT", "80");
   const n = Number(raw);
@@ -105,60 +196,160 @@ async function fetchFD(url, token, { retries = 2 } = {}) {
   }
 }
 
-async function fetchStandingsRatingsByCompetitionId(competitionId, token) {
+const MODEL_VERSION = "NetThud Poisson Model v2";
+
+// ------------------------------
+// Standings -> Poisson goal model
+// ------------------------------
+async function fetchStandingsByCompetitionId(competitionId, token) {
   const json = await fetchFD(`https://api.football-data.org/v4/competitions/${competitionId}/standings`, token, { retries: 1 });
-  const tables = Array.isArray(json?.standings) ? json.standings : [];
-  const total = tables.find(s => safeStr(s?.type).toUpperCase() === "TOTAL") || tables[0];
-  const rows = Array.isArray(total?.table) ? total.table : [];
-
-  const map = new Map();
-  for (const r of rows) {
-    const teamId = r?.team?.id;
-    if (!teamId) continue;
-
-    const played = Math.max(1, safeNum(r?.playedGames, 1));
-    const points = safeNum(r?.points, 0);
-    const gf = safeNum(r?.goalsFor, 0);
-    const ga = safeNum(r?.goalsAgainst, 0);
-    const gd = gf - ga;
-
-    const ppg = points / played;
-    const gdpg = gd / played;
-    const gfpg = gf / played;
-
-    const rating = ppg + gdpg * 0.35 + gfpg * 0.10;
-    map.set(teamId, { rating });
+  const standings = Array.isArray(json?.standings) ? json.standings : [];
+
+  // Cups split tables by group: merge every table of the same type.
+  const tables = { TOTAL: [], HOME: [], AWAY: [] };
+  for (const s of standings) {
+    const type = safeStr(s?.type || "TOTAL").toUpperCase();
+    if (!tables[type]) continue;
+    if (Array.isArray(s?.table)) tables[type].push(...s.table);
+  }
+  return tables;
+}
+
+// Tables written by generate-standings.mjs (same row fields as the API), by competitionId.
+function loadSavedStandings() {
+  const maxAgeHours = Math.max(0, safeNum(env("NETTHUD_STANDINGS_MAX_AGE_HOURS", "12"), 12));
+  const saved = readJsonIfExists(path.join(process.cwd(), "assets", "data", "standings.json"));
+  const age = Date.now() - Date.parse(saved?.generatedAt);
+  if (!Number.isFinite(age) || age > maxAgeHours * 3600_000) return new Map();
+
+  const stale = new Set(Array.isArray(saved?.stale) ? saved.stale : []);
+  const out = new Map();
+  for (const it of Array.isArray(saved?.items) ? saved.items : []) {
+    if (it?.competitionId == null || stale.has(it.competitionCode) || !it.tables) continue;
+    out.set(it.competitionId, {
+      TOTAL: Array.isArray(it.tables.TOTAL) ? it.tables.TOTAL : [],
+      HOME: Array.isArray(it.tables.HOME) ? it.tables.HOME : [],
+      AWAY: Array.isArray(it.tables.AWAY) ? it.tables.AWAY : [],
+    });
+  }
+  return out;
+}
+
+// League-wide goals per game for home and away sides.
+// Without HOME/AWAY tables, split the TOTAL average with a typical home edge.
+const DEFAULT_HOME_GOALS = 1.50;
+const DEFAULT_AWAY_GOALS = 1.20;
+
+function leagueAverages(tables) {
+  const sum = (rows, key) => rows.reduce((acc, r) => acc + safeNum(r?.[key], 0), 0);
+
+  const homePlayed = sum(tables.HOME, "playedGames");
+  const awayPlayed = sum(tables.AWAY, "playedGames");
+  if (homePlayed > 0 && awayPlayed > 0) {
+    return {
+      home: sum(tables.HOME, "goalsFor") / homePlayed || DEFAULT_HOME_GOALS,
+      away: sum(tables.AWAY, "goalsFor") / awayPlayed || DEFAULT_AWAY_GOALS,
+    };
   }
-  return map;
+
+  const played = sum(tables.TOTAL, "playedGames");
+  if (played > 0) {
+    const perTeamGame = sum(tables.TOTAL, "goalsFor") / played;
+    const share = DEFAULT_HOME_GOALS / (DEFAULT_HOME_GOALS + DEFAULT_AWAY_GOALS);
+    return { home: 2 * perTeamGame * share, away: 2 * perTeamGame * (1 - share) };
+  }
+
+  return { home: DEFAULT_HOME_GOALS, away: DEFAULT_AWAY_GOALS };
 }
 
-function computeHDA(homeRating, awayRating) {
-  if (!Number.isFinite(homeRating) || !Number.isFinite(awayRating)) {
-    return { home: 0.34, draw: 0.32, away: 0.34 };
+// Ratio vs league average, shrunk towards 1.0 so early-season tables don't explode.
+const SHRINK_GAMES = 6;
+function strength(goals, played, leagueAvg) {
+  if (!(played > 0) || !(leagueAvg > 0)) return 1;
+  const raw = (goals / played) / leagueAvg;
+  return (raw * played + SHRINK_GAMES) / (played + SHRINK_GAMES);
+}
+
+function buildTeamStrengths(tables) {
+  const avg = leagueAverages(tables);
+  const totalAvg = (avg.home + avg.away) / 2;
+  const byId = (rows) => new Map(rows.filter(r => r?.team?.id).map(r => [r.team.id, r]));
+  const total = byId(tables.TOTAL);
+  const home = byId(tables.HOME);
+  const away = byId(tables.AWAY);
+
+  const teams = new Map();
+  for (const [teamId, t] of total) {
+    const h = home.get(teamId);
+    const a = away.get(teamId);
+    const tp = safeNum(t?.playedGames, 0);
+
+    // Venue-specific when available, otherwise the overall table.
+    const overallAtt = strength(safeNum(t?.goalsFor, 0), tp, totalAvg);
+    const overallDef = strength(safeNum(t?.goalsAgainst, 0), tp, totalAvg);
+
+    teams.set(teamId, {
+      homeAttack: h ? strength(safeNum(h.goalsFor, 0), safeNum(h.playedGames, 0), avg.home) : overallAtt,
+      homeDefence: h ? strength(safeNum(h.goalsAgainst, 0), safeNum(h.playedGames, 0), avg.away) : overallDef,
+      awayAttack: a ? strength(safeNum(a.goalsFor, 0), safeNum(a.playedGames, 0), avg.away) : overallAtt,
+      awayDefence: a ? strength(safeNum(a.goalsAgainst, 0), safeNum(a.playedGames, 0), avg.home) : overallDef,
+    });
   }
-  const diff = homeRating - awayRating;
-  const homeAdv = 0.18;
-  const x = diff + homeAdv;
+  return { avg, teams };
+}
 
-  const k = 1.65;
-  const winNoDraw = 1 / (1 + Math.exp(-k * x));
+function expectedGoals(model, homeId, awayId) {
+  const avg = model?.avg || { home: DEFAULT_HOME_GOALS, away: DEFAULT_AWAY_GOALS };
+  const h = model?.teams?.get(homeId);
+  const a = model?.teams?.get(awayId);
+
+  const home = avg.home * (h?.homeAttack ?? 1) * (a?.awayDefence ?? 1);
+  const away = avg.away * (a?.awayAttack ?? 1) * (h?.homeDefence ?? 1);
+  return { home: clamp(home, 0.15, 5), away: clamp(away, 0.15, 5) };
+}
 
-  const closeness = Math.exp(-Math.abs(diff) * 1.25);
-  let draw = 0.22 + 0.12 * closeness;
-  draw = clamp(draw, 0.18, 0.36);
+function poissonPmf(lambda, maxGoals) {
+  const out = [Math.exp(-lambda)];
+  for (let k = 1; k <= maxGoals; k++) out.push(out[k - 1] * lambda / k);
+  return out;
+}
+
+// matrix[h][a] = P(home scores h, away scores a), renormalised over 0..maxGoals.
+function scoreMatrix(xg, maxGoals = 10) {
+  const ph = poissonPmf(xg.home, maxGoals);
+  const pa = poissonPmf(xg.away, maxGoals);
+  const matrix = ph.map(h => pa.map(a => h * a));
+  const total = matrix.flat().reduce((acc, p) => acc + p, 0);
+  return matrix.map(row => row.map(p => p / total));
+}
 
-  const remaining = 1 - draw;
-  let home = remaining * winNoDraw;
-  let away = remaining * (1 - winNoDraw);
+function marketsFromMatrix(matrix) {
+  let home = 0, draw = 0, away = 0, over25 = 0, btts = 0;
+  let best = { h: 0, a: 0, p: -1 };
 
-  const s = home + draw + away;
-  home /= s; draw /= s; away /= s;
+  matrix.forEach((row, h) => row.forEach((p, a) => {
+    if (h > a) home += p;
+    else if (h === a) draw += p;
+    else away += p;
+    if (h + a > 2.5) over25 += p;
+    if (h > 0 && a > 0) btts += p;
+    if (p > best.p) best = { h, a, p };
+  }));
 
   const r4 = (n) => Math.round(n * 10000) / 10000;
-  return { home: r4(home), draw: r4(draw), away: r4(away) };
+  return {
+    hda: { home: r4(home), draw: r4(draw), away: r4(away) },
+    markets: {
+      over25: r4(over25),
+      under25: r4(1 - over25),
+      btts: r4(btts),
+      mostLikelyScore: `${best.h}–${best.a}`,
+      mostLikelyScoreProb: r4(best.p),
+    },
+  };
 }
 
-async function fetchFootballDataUpcoming(days) {
+async function fetchFootballDataUpcoming(days, tvConfig) {
   const token = env("NETTHUD_SCORES_API_TOKEN");
   if (!token) throw new Error("Missing env: NETTHUD_SCORES_API_TOKEN");
 
@@ -205,13 +396,18 @@ async function fetchFootballDataUpcoming(days) {
     if (compId && (!code || allowedCodes.has(code))) compIds.set(compId, code);
   }
 
-  const standingsCache = new Map();
+  const savedTables = loadSavedStandings();
+  const modelCache = new Map();
   for (const compId of compIds.keys()) {
+    if (savedTables.has(compId)) {
+      modelCache.set(compId, buildTeamStrengths(savedTables.get(compId)));
+      continue;
+    }
     try {
-      standingsCache.set(compId, await fetchStandingsRatingsByCompetitionId(compId, token));
+      modelCache.set(compId, buildTeamStrengths(await fetchStandingsByCompetitionId(compId, token)));
       await sleep(250); // small spacing to reduce 429 risk
     } catch {
-      standingsCache.set(compId, new Map());
+      modelCache.set(compId, null);
     }
   }
 
@@ -228,50 +424,116 @@ async function fetchFootballDataUpcoming(days) {
     const kickoffUTC = safeStr(m?.utcDate || "");
     const kickoffLocal = kickoffUTC ? formatET(kickoffUTC) : "";
 
-    const standings = competitionId ? standingsCache.get(competitionId) : null;
-    const homeRating = standings && homeId ? standings.get(homeId)?.rating : NaN;
-    const awayRating = standings && awayId ? standings.get(awayId)?.rating : NaN;
-
-    const hda = computeHDA(homeRating, awayRating);
+    const model = competitionId ? modelCache.get(competitionId) : null;
+    const xg = expectedGoals(model, homeId, awayId);
+    const { hda, markets } = marketsFromMatrix(scoreMatrix(xg));
     const matchId = m?.id ?? null;
+    const tv = resolveTv(tvConfig, { matchId, competitionCode, home, away, kickoffUTC });
 
     return {
       matchId,
-      id: matchId ? `upcoming:${matchId}` : "",
+      id: matchId != null ? `match:${matchId}` : "",
       league,
       competitionCode,
       home,
       away,
+      homeId: homeId ?? null,
+      awayId: awayId ?? null,
       kickoffUTC,
       kickoffLocal,
-      tv: [],
+      venue: safeStr(m?.venue || ""),
+      tv,
       hda,
+      xg: { home: Math.round(xg.home * 100) / 100, away: Math.round(xg.away * 100) / 100 },
+      markets,
       highlightsUrl: "",
-      model: "NetThud Table Model v1",
+      model: MODEL_VERSION,
     };
   });
 
   items.sort((a, b) => safeStr(a.kickoffUTC).localeCompare(safeStr(b.kickoffUTC)));
   const trimmed = Number.isFinite(limit) ? items.slice(0, limit) : items;
 
+  const tvMissing = {};
+  for (const region of tvConfig.regions) {
+    const codes = new Set(trimmed.filter(it => !it.tv[region]?.length).map(it => it.competitionCode || "?"));
+    if (codes.size) tvMissing[region] = [...codes].sort();
+  }
+
   return {
     generatedAt: isoNow(),
     days,
     limit: Number.isFinite(limit) ? limit : 0,
     competitions: orderedCodes,
-    model: "NetThud Table Model v1",
+    model: MODEL_VERSION,
+    defaultRegion: tvConfig.defaultRegion,
+    regions: tvConfig.regions,
+    tvMissing,
     items: trimmed,
   };
 }
 
+// ------------------------------
+// Prediction store (assets/data/predictions.json)
+// ------------------------------
+const UNSETTLED_TTL_DAYS = 14;
+
+function recordPredictions(filePath, items) {
+  const store = readJsonIfExists(filePath) || {};
+  const byId = store.items && typeof store.items === "object" ? store.items : {};
+  const now = Date.now();
+  let recorded = 0;
+
+  for (const it of items) {
+    if (it.matchId == null || !it.hda) continue;
+    const kickoff = Date.parse(it.kickoffUTC);
+    if (!Number.isFinite(kickoff) || kickoff <= now) continue;
+
+    const prev = byId[it.matchId];
+    if (prev?.result) continue;
+
+    byId[it.matchId] = {
+      matchId: it.matchId,
+      competitionCode: it.competitionCode,
+      league: it.league,
+      home: it.home,
+      away: it.away,
+      kickoffUTC: it.kickoffUTC,
+      model: it.model,
+      predictedAt: isoNow(),
+      hda: it.hda,
+      xg: it.xg,
+      markets: it.markets,
+    };
+    recorded++;
+  }
+
+  // Postponed/abandoned fixtures never settle: drop them after a while.
+  const cutoff = now - UNSETTLED_TTL_DAYS * 24 * 60 * 60 * 1000;
+  for (const [id, p] of Object.entries(byId)) {
+    if (!p?.result && Date.parse(p?.kickoffUTC) < cutoff) delete byId[id];
+  }
+
+  writeJson(filePath, { updated: isoNow(), items: byId });
+  return recorded;
+}
+
 async function main() {
   const days = Math.max(1, Math.min(14, Number(env("NETTHUD_UPCOMING_DAYS", "7")) || 7));
   const outFile = path.join(process.cwd(), "assets", "data", "upcoming.json");
+  const tvConfig = loadTvConfig(path.join(process.cwd(), "assets", "data", "tv.json"));
 
   try {
-    const payload = await fetchFootballDataUpcoming(days);
+    const payload = await fetchFootballDataUpcoming(days, tvConfig);
     writeJson(outFile, payload);
     console.log(`Wrote ${outFile} (${payload.items.length} items)`);
+    for (const [region, codes] of Object.entries(payload.tvMissing)) {
+      console.warn(`⚠️ No ${region} TV mapping in tv.json for: ${codes.join(", ")}`);
+    }
+
+    const predictionsFile = path.join(process.cwd(), "assets", "data", "predictions.json");
+    const recorded = recordPredictions(predictionsFile, payload.items);
+    console.log(`Recorded ${recorded} predictions -> ${predictionsFile}`);
   } catch (err) {
     const status = err?.status;
     const cached = readJsonIfExists(outFile);
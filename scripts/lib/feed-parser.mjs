@@ -0,0 +1,431 @@
+// scripts/lib/feed-parser.mjs
+// Feed parser shared by the generators: RSS 2.0, RSS 1.0 (RDF), Atom 1.0 and JSON Feed 1.x.
+// No dependencies.
+//
+// XML goes through a small streaming tokenizer: write() takes the body chunk by chunk as it
+// downloads, and a construct cut between two chunks (a tag, an entity, a CDATA section) waits
+// for the rest. It skips comments, processing instructions and the DOCTYPE (external entities
+// are never loaded), keeps CDATA verbatim, and decodes every character reference: the five XML
+// entities, decimal and hex references (&#8217; &#x2019;, with the windows-1252 range browsers
+// use for &#146;) and the HTML named entities feeds put in text (&nbsp; &hellip; &eacute; ...).
+// Element and attribute names are resolved through their xmlns declarations, so Dublin Core
+// is dc:creator whatever prefix a feed binds it to; undeclared prefixes are kept as written.
+// xml:base is honoured for Atom links.
+//
+// Items:
+//   { guid, title, link, pubDate, desc, author, image, categories }
+//   guid        <guid>, Atom <id>, rdf:about, JSON id
+//   title       plain text (markup stripped, entities decoded)
+//   link        <link>, Atom rel="alternate" (absolute), a permalink guid, JSON url
+//   pubDate     pubDate / dc:date / Atom published|updated / JSON date_published, as written
+//   desc        description / Atom summary / content:encoded / Atom content / JSON content (HTML)
+//   author      dc:creator, <author> ("mail@x.com (Name)" -> Name), Atom author name, JSON authors
+//   image       media:thumbnail, media:content, an image enclosure, itunes:image, JSON image
+//   categories  <category>, Atom category term, dc:subject, JSON tags (deduped)
+//
+// API:
+//   parseFeed(text, { baseUrl })        -> { format: "rss2"|"rss1"|"atom"|"json"|"", title, link, items }
+//   parseFeedStream(body, { baseUrl, charset })  same, from a fetch() body or any async iterable
+//   createFeedParser({ baseUrl })       -> { write(chunk), end() -> feed }
+//   htmlToText(html)                    -> plain text
+//
+// Fail-safe behavior:
+// - Malformed XML never throws: items closed before the error are returned, an unfinished one is dropped.
+// - Unparseable JSON Feed returns no items.
+
+const NAMESPACES = {
+  "http://www.w3.org/2005/Atom": "atom",
+  "http://purl.org/rss/1.0/": "", // RSS 1.0 items read like RSS 2.0 ones
+  "http://www.w3.org/1999/02/22-rdf-syntax-ns#": "rdf",
+  "http://purl.org/dc/elements/1.1/": "dc",
+  "http://purl.org/rss/1.0/modules/content/": "content",
+  "http://search.yahoo.com/mrss/": "media",
+  "http://www.itunes.com/dtds/podcast-1.0.dtd": "itunes",
+  "http://www.w3.org/XML/1998/namespace": "xml",
+};
+const XML_NS = "http://www.w3.org/XML/1998/namespace";
+
+// ------------------------------
+// Entities
+// ------------------------------
+const NAMED_ENTITIES = {
+  amp: "&", lt: "<", gt: ">", quot: '"', apos: "'",
+  nbsp: "\u00a0", ensp: "\u2002", emsp: "\u2003", thinsp: "\u2009", shy: "\u00ad", zwnj: "\u200c", zwj: "\u200d",
+  hellip: "…", mdash: "—", ndash: "–", minus: "−", lsquo: "‘", rsquo: "’", sbquo: "‚", ldquo: "“", rdquo: "”", bdquo: "„",
+  laquo: "«", raquo: "»", lsaquo: "‹", rsaquo: "›", bull: "•", middot: "·", prime: "′", Prime: "″", dagger: "†", Dagger: "‡",
+  copy: "©", reg: "®", trade: "™", euro: "€", pound: "£", cent: "¢", yen: "¥", curren: "¤", sect: "§", para: "¶",
+  deg: "°", plusmn: "±", times: "×", divide: "÷", frac12: "½", frac14: "¼", frac34: "¾", sup1: "¹", sup2: "²", sup3: "³",
+  iexcl: "¡", iquest: "¿", ordf: "ª", ordm: "º", micro: "µ", not: "¬", macr: "¯", acute: "´", cedil: "¸", uml: "¨",
+  szlig: "ß", aelig: "æ", AElig: "Æ", oslash: "ø", Oslash: "Ø", eth: "ð", ETH: "Ð", thorn: "þ", THORN: "Þ", oelig: "œ", OElig: "Œ",
+  scaron: "š", Scaron: "Š", zcaron: "ž", Zcaron: "Ž", yuml: "ÿ", Yuml: "Ÿ", fnof: "ƒ", circ: "ˆ", tilde: "˜",
+};
+// &eacute; &Uuml; &ccedil; ...: a letter plus a combining mark
+const ACCENTS = { acute: "\u0301", grave: "\u0300", uml: "\u0308", circ: "\u0302", tilde: "\u0303", cedil: "\u0327", ring: "\u030a", caron: "\u030c" };
+// what browsers show for &#128;-&#159; (windows-1252), "\0" = unassigned
+const CP1252 = "€\0‚ƒ„…†‡ˆ‰Š‹Œ\0Ž\0\0‘’“”•–—˜™š›œ\0žŸ";
+
+function codePointText(n) {
+  if (n >= 0x80 && n <= 0x9f && CP1252[n - 0x80] !== "\0") return CP1252[n - 0x80];
+  if (!Number.isFinite(n) || n <= 0 || n > 0x10ffff || (n >= 0xd800 && n <= 0xdfff)) return "\uFFFD";
+  return String.fromCodePoint(n);
+}
+
+export function decodeEntities(s) {
+  return String(s ?? "").replace(/&(#[0-9]+|#[xX][0-9a-fA-F]+|[A-Za-z][A-Za-z0-9]*);/g, (m, e) => {
+    if (e[0] === "#") return codePointText(e[1] === "x" || e[1] === "X" ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10));
+    if (Object.hasOwn(NAMED_ENTITIES, e)) return NAMED_ENTITIES[e];
+    const accent = e.match(/^([A-Za-z])(acute|grave|uml|circ|tilde|cedil|ring|caron)$/);
+    return accent ? (accent[1] + ACCENTS[accent[2]]).normalize("NFC") : m;
+  });
+}
+
+export function htmlToText(html) {
+  return decodeEntities(String(html ?? "")
+    .replace(/<(script|style)\b[\s\S]*?<\/\1\s*>/gi, " ")
+    .replace(/<[^>]*>/g, " "))
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// ------------------------------
+// Streaming XML tokenizer
+// ------------------------------
+// handler: { open(name, attrs), text(str), close(name) }; names and attribute keys are raw qnames
+function createXmlTokenizer(handler) {
+  let buf = "";
+
+  function tagEnd(from) {
+    let quote = "";
+    for (let j = from; j < buf.length; j++) {
+      const c = buf[j];
+      if (quote) { if (c === quote) quote = ""; }
+      else if (c === '"' || c === "'") quote = c;
+      else if (c === ">") return j;
+    }
+    return -1;
+  }
+
+  // <!DOCTYPE ... [ internal subset ]>
+  function doctypeEnd(from) {
+    let depth = 0;
+    let quote = "";
+    for (let j = from; j < buf.length; j++) {
+      const c = buf[j];
+      if (quote) { if (c === quote) quote = ""; }
+      else if (c === '"' || c === "'") quote = c;
+      else if (c === "[") depth++;
+      else if (c === "]") depth--;
+      else if (c === ">" && depth <= 0) return j;
+    }
+    return -1;
+  }
+
+  function openTag(raw) {
+    const selfClosing = raw.endsWith("/");
+    const body = selfClosing ? raw.slice(0, -1) : raw;
+    const name = (body.match(/^\s*([^\s/>]+)/) || [])[1];
+    if (!name) return;
+    const attrs = {};
+    for (const m of body.slice(body.indexOf(name) + name.length).matchAll(/([^\s=/]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+      attrs[m[1]] = decodeEntities(m[2] ?? m[3]);
+    }
+    handler.open(name, attrs);
+    if (selfClosing) handler.close(name);
+  }
+
+  function run(final) {
+    let i = 0;
+    while (i < buf.length) {
+      const lt = buf.indexOf("<", i);
+      if (lt === -1) {
+        // hold back an entity that may continue in the next chunk
+        const amp = buf.lastIndexOf("&");
+        const cut = !final && amp >= i && buf.indexOf(";", amp) === -1 ? amp : buf.length;
+        if (cut > i) handler.text(decodeEntities(buf.slice(i, cut)));
+        i = cut;
+        break;
+      }
+      if (lt > i) handler.text(decodeEntities(buf.slice(i, lt)));
+      i = lt;
+
+      let end;
+      if (buf.startsWith("<!--", i)) {
+        if ((end = buf.indexOf("-->", i + 4)) === -1) break;
+        i = end + 3;
+      } else if (buf.startsWith("<![CDATA[", i)) {
+        if ((end = buf.indexOf("]]>", i + 9)) === -1) break;
+        handler.text(buf.slice(i + 9, end));
+        i = end + 3;
+      } else if (buf.startsWith("<?", i)) {
+        if ((end = buf.indexOf("?>", i + 2)) === -1) break;
+        i = end + 2;
+      } else if (buf.startsWith("<!", i)) {
+        if ((end = doctypeEnd(i + 2)) === -1) break;
+        i = end + 1;
+      } else {
+        if ((end = tagEnd(i + 1)) === -1) break;
+        const raw = buf.slice(i + 1, end);
+        i = end + 1;
+        if (raw[0] === "/") handler.close(raw.slice(1).trim());
+        else openTag(raw);
+      }
+    }
+    buf = buf.slice(i);
+  }
+
+  return {
+    write(chunk) {
+      buf += chunk;
+      run(false);
+    },
+    end() {
+      run(true);
+      buf = ""; // an unterminated tag or comment at the very end is dropped
+    },
+  };
+}
+
+// ------------------------------
+// Feed model
+// ------------------------------
+function clean(s) {
+  return String(s ?? "").replace(/\s+/g, " ").trim();
+}
+
+function unique(list) {
+  return [...new Set(list.map(clean).filter(Boolean))];
+}
+
+function absoluteUrl(href, base) {
+  const h = clean(href);
+  if (!h) return "";
+  try {
+    return base ? new URL(h, base).href : new URL(h).href;
+  } catch {
+    return h;
+  }
+}
+
+// RSS 2.0 <author> is an email address, often with the name in parentheses
+function rssAuthor(text) {
+  const t = clean(text);
+  const named = t.match(/\(([^)]+)\)\s*$/);
+  if (named) return clean(named[1]);
+  return /^\S+@\S+$/.test(t) ? "" : t;
+}
+
+const isImageType = (type) => /^image\//i.test(clean(type));
+const IMAGE_URL = /\.(jpe?g|png|gif|webp|avif)(\?|#|$)/i;
+
+// el: { name, parent, attrs, text, base } for every element inside the item, in document order
+function buildItem(els, about, baseUrl) {
+  const top = (name) => els.filter((e) => e.name === name && !e.parent);
+  const text = (...names) => names.map((n) => clean(top(n)[0]?.text)).find(Boolean) || "";
+
+  const guidEl = top("guid")[0];
+  const guid = clean(guidEl?.text) || text("atom:id") || clean(about);
+
+  const atomLinks = top("atom:link");
+  const alternate = atomLinks.find((l) => !l.attrs.rel || l.attrs.rel === "alternate");
+  let link = text("link") || (alternate ? absoluteUrl(alternate.attrs.href, alternate.base || baseUrl) : "");
+  if (!link && guidEl && guidEl.attrs.isPermaLink !== "false" && /^https?:\/\//i.test(guid)) link = guid;
+
+  const author = unique([
+    ...top("dc:creator").map((e) => e.text),
+    ...top("author").map((e) => rssAuthor(e.text)),
+    ...els.filter((e) => e.name === "atom:name" && e.parent === "atom:author").map((e) => e.text),
+  ]).join(", ");
+
+  const imageEl =
+    els.find((e) => e.name === "media:thumbnail" && e.attrs.url) ||
+    els.find((e) => e.name === "media:content" && e.attrs.url &&
+      (e.attrs.medium === "image" || isImageType(e.attrs.type) || (!e.attrs.medium && !e.attrs.type && IMAGE_URL.test(e.attrs.url)))) ||
+    top("enclosure").find((e) => e.attrs.url && isImageType(e.attrs.type)) ||
+    atomLinks.find((l) => l.attrs.rel === "enclosure" && l.attrs.href && isImageType(l.attrs.type)) ||
+    top("itunes:image").find((e) => e.attrs.href);
+
+  const categories = unique([
+    ...top("category").map((e) => e.text),
+    ...top("atom:category").map((e) => e.attrs.term || e.attrs.label),
+    ...top("dc:subject").map((e) => e.text),
+  ]);
+
+  return {
+    guid,
+    title: htmlToText(text("title", "atom:title", "dc:title")),
+    link: absoluteUrl(link, baseUrl),
+    pubDate: text("pubDate", "atom:published", "dc:date", "atom:updated"),
+    desc: (top("description")[0] || top("atom:summary")[0] || top("content:encoded")[0] || top("atom:content")[0])?.text.trim() || "",
+    author,
+    image: imageEl ? absoluteUrl(imageEl.attrs.url || imageEl.attrs.href, imageEl.base || baseUrl) : "",
+    categories,
+  };
+}
+
+function parseJsonFeed(raw, baseUrl) {
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch {
+    return { format: "json", title: "", link: "", items: [] };
+  }
+  const names = (list) => unique((Array.isArray(list) ? list : []).map((a) => a?.name));
+  const feedAuthors = names(data?.authors || (data?.author ? [data.author] : []));
+
+  const items = (Array.isArray(data?.items) ? data.items : []).map((x) => {
+    const authors = names(x?.authors || (x?.author ? [x.author] : []));
+    return {
+      guid: clean(x?.id),
+      title: htmlToText(x?.title),
+      link: absoluteUrl(x?.url || x?.external_url, baseUrl),
+      pubDate: clean(x?.date_published || x?.date_modified),
+      desc: String(x?.content_html || x?.summary || x?.content_text || "").trim(),
+      author: (authors.length ? authors : feedAuthors).join(", "),
+      image: absoluteUrl(x?.image || x?.banner_image, baseUrl),
+      categories: unique(Array.isArray(x?.tags) ? x.tags : []),
+    };
+  });
+
+  return { format: "json", title: clean(data?.title), link: clean(data?.home_page_url), items: items.filter((x) => x.title || x.link || x.guid) };
+}
+
+export function createFeedParser({ baseUrl = "" } = {}) {
+  const feed = { format: "", title: "", link: "", items: [] };
+  const stack = []; // { name, attrs, text, scope, base }
+  let item = null;  // { depth, about, els }
+  let json = null;  // the whole body, once it turns out to be JSON Feed
+  let sniffed = false;
+
+  function resolve(qname, scope, isAttr) {
+    const k = qname.indexOf(":");
+    const prefix = k === -1 ? "" : qname.slice(0, k);
+    const local = k === -1 ? qname : qname.slice(k + 1);
+    if (prefix === "xmlns" || qname === "xmlns" || (isAttr && !prefix)) return qname;
+    const uri = prefix === "xml" ? XML_NS : scope[prefix];
+    const short = uri == null ? undefined : NAMESPACES[uri];
+    if (short == null) return qname; // undeclared or unknown namespace: as written
+    return short ? `${short}:${local}` : local;
+  }
+
+  const handler = {
+    open(qname, rawAttrs) {
+      const parent = stack[stack.length - 1];
+      let scope = parent ? parent.scope : {};
+      for (const [k, v] of Object.entries(rawAttrs)) {
+        if (k === "xmlns" || k.startsWith("xmlns:")) {
+          if (parent && scope === parent.scope) scope = { ...scope };
+          scope[k === "xmlns" ? "" : k.slice(6)] = v;
+        }
+      }
+      const attrs = {};
+      for (const [k, v] of Object.entries(rawAttrs)) attrs[resolve(k, scope, true)] = v;
+      const name = resolve(qname, scope, false);
+      const base = attrs["xml:base"] ? absoluteUrl(attrs["xml:base"], parent?.base || baseUrl) : parent?.base || baseUrl;
+      stack.push({ name, attrs, text: "", scope, base });
+
+      if (stack.length === 1) {
+        feed.format = name === "rss" ? "rss2" : name === "rdf:RDF" ? "rss1" : name === "atom:feed" ? "atom" : "";
+      }
+      if (!item && (name === "item" || name === "atom:entry")) item = { depth: stack.length, about: attrs["rdf:about"] || "", els: [] };
+    },
+
+    text(s) {
+      if (stack.length) stack[stack.length - 1].text += s;
+    },
+
+    close(qname) {
+      // lenient about mismatched tags: an end tag also closes whatever was left open inside it
+      let at = stack.length - 1;
+      while (at >= 0 && resolve(qname, stack[at].scope, false) !== stack[at].name) at--;
+      if (at === -1) return; // stray end tag
+      while (stack.length > at) closeTop();
+    },
+  };
+
+  function closeTop() {
+    const el = stack.pop();
+    const parent = stack[stack.length - 1];
+    // inside an item, markup left unescaped (Atom type="xhtml", sloppy RSS) reads as its text
+    if (item && stack.length >= item.depth) parent.text += el.text;
+
+    if (item && stack.length + 1 === item.depth) {
+      feed.items.push(buildItem(item.els, item.about, baseUrl));
+      item = null;
+    } else if (item) {
+      const within = stack.slice(item.depth);
+      item.els.push({ name: el.name, parent: within.length ? within[within.length - 1].name : "", attrs: el.attrs, text: el.text, base: el.base });
+    } else if (parent && ["channel", "atom:feed"].includes(parent.name)) {
+      if (!feed.title && (el.name === "title" || el.name === "atom:title")) feed.title = htmlToText(el.text);
+      if (!feed.link && el.name === "link") feed.link = clean(el.text);
+      if (!feed.link && el.name === "atom:link" && (!el.attrs.rel || el.attrs.rel === "alternate")) feed.link = absoluteUrl(el.attrs.href, el.base);
+    }
+  }
+
+  const xml = createXmlTokenizer(handler);
+
+  return {
+    write(chunk) {
+      const s = String(chunk ?? "");
+      if (json != null) { json += s; return; }
+      if (!sniffed) {
+        const first = s.replace(/^\uFEFF/, "").trimStart();
+        if (!first) return;
+        sniffed = true;
+        if (first[0] === "{") { json = first; return; }
+        xml.write(s.replace(/^\uFEFF/, ""));
+        return;
+      }
+      xml.write(s);
+    },
+    end() {
+      if (json != null) return parseJsonFeed(json, baseUrl);
+      xml.end();
+      return feed;
+    },
+  };
+}
+
+export function parseFeed(text, options = {}) {
+  const parser = createFeedParser(options);
+  parser.write(text);
+  return parser.end();
+}
+
+const SNIFF_BYTES = 256;
+
+// charset: from the Content-Type header; otherwise the XML declaration, otherwise UTF-8
+export async function parseFeedStream(body, { baseUrl = "", charset = "" } = {}) {
+  const parser = createFeedParser({ baseUrl });
+  let decoder = null;
+  let head = new Uint8Array(0); // bytes held back until the XML declaration can be read
+
+  const flush = () => {
+    decoder = textDecoder(charset || declaredEncoding(head));
+    parser.write(decoder.decode(head, { stream: true }));
+  };
+  for await (const chunk of body) {
+    if (typeof chunk === "string") { parser.write(chunk); continue; }
+    if (decoder) { parser.write(decoder.decode(chunk, { stream: true })); continue; }
+    const joined = new Uint8Array(head.length + chunk.length);
+    joined.set(head);
+    joined.set(chunk, head.length);
+    head = joined;
+    if (head.length >= SNIFF_BYTES) flush();
+  }
+  if (!decoder && head.length) flush();
+  if (decoder) parser.write(decoder.decode());
+  return parser.end();
+}
+
+function declaredEncoding(bytes) {
+  const head = new TextDecoder("latin1").decode(bytes.subarray(0, SNIFF_BYTES));
+  return (head.match(/^\s*<\?xml[^>]*encoding=["']([A-Za-z0-9._-]+)["']/) || [])[1] || "utf-8";
+}
+
+function textDecoder(label) {
+  try {
+    return new TextDecoder(label);
+  } catch {
+    return new TextDecoder("utf-8");
+  }
+}
@@ -14,8 +14,8 @@ if (!Array.isArray(json.items)) {
 json.items = json.items.map((it) => {
   const matchId = it?.matchId;
   if (matchId == null) return it;
-  return { ...it, id: `upcoming:${matchId}` };
+  return { ...it, id: `match:${matchId}` };
 });
 
 fs.writeFileSync(file, JSON.stringify(json, null, 2) + "\n", "utf8");
-console.log("Patched upcoming.json (added id: upcoming:<matchId>)");
\ No newline at end of file
+console.log("Patched upcoming.json (added id: match:<matchId>)");
\ No newline at end of file
@@ -0,0 +1,145 @@
+// sw.js
+// NetThud service worker (scope: /)
+//
+// Offline:
+//   - Shell (pages, manifest, icon, styles, audio) is precached on install. Pages, scripts and
+//     styles are network-first so a deploy shows up on the next load (a new page must never run
+//     against an old i18n.js); icon, manifest and audio are served cache-first.
+//   - Bump SHELL_CACHE when the SHELL list changes so installed clients re-precache it.
+//   - assets/data/*.json is network-first. Every good response replaces the cached copy
+//     (keyed without the ?v= cache-buster), so the cache always holds the most recent read.
+//     When the network fails the cached copy is returned with "X-NetThud-Offline: 1"
+//     and the page shows "offline — showing data from <generatedAt>".
+//
+// Notifications:
+//   The page decides what to notify (diff of scores.json / transfers.json against the previous read)
+//   and calls registration.showNotification(title, { data: { hash } }).
+//   Clicking one focuses an open NetThud tab and asks it to open that #d= detail,
+//   or opens a new tab on that URL when none is open.
+
+const SHELL_CACHE = "netthud-shell-v2";
+const DATA_CACHE = "netthud-data-v1";
+
+const SHELL = [
+  "/",
+  "/index.html",
+  "/article.html",
+  "/manifest.webmanifest",
+  "/assets/icons/icon.svg",
+  "/assets/styles.css",
+  "/assets/i18n.js",
+  "/assets/audio/crowd.mp3",
+  "/assets/audio/netthud.mp3",
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    // one missing file must not block the rest of the shell
+    await Promise.all(SHELL.map(u => cache.add(new Request(u, { cache: "reload" })).catch(() => {})));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    const keep = new Set([SHELL_CACHE, DATA_CACHE]);
+    for (const key of await caches.keys()) {
+      if (key.startsWith("netthud-") && !keep.has(key)) await caches.delete(key);
+    }
+    await self.clients.claim();
+  })());
+});
+
+function dataKey(url) {
+  const u = new URL(url);
+  u.search = "";
+  return u.toString();
+}
+
+async function networkFirstData(request) {
+  const cache = await caches.open(DATA_CACHE);
+  const key = dataKey(request.url);
+  try {
+    const res = await fetch(request);
+    if (res.ok) await cache.put(key, res.clone());
+    return res;
+  } catch (err) {
+    const hit = await cache.match(key);
+    if (!hit) throw err;
+    const headers = new Headers(hit.headers);
+    headers.set("X-NetThud-Offline", "1");
+    return new Response(await hit.blob(), { status: 200, statusText: "OK", headers });
+  }
+}
+
+async function networkFirstPage(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const res = await fetch(request);
+    if (res.ok) await cache.put(new URL(request.url).pathname === "/" ? "/" : request, res.clone());
+    return res;
+  } catch (err) {
+    const hit = await cache.match(request, { ignoreSearch: true }) || await cache.match("/index.html");
+    if (!hit) throw err;
+    return hit;
+  }
+}
+
+async function networkFirstAsset(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const key = new URL(request.url).pathname;
+  try {
+    const res = await fetch(request);
+    if (res.ok && res.status === 200) await cache.put(key, res.clone());
+    return res;
+  } catch (err) {
+    const hit = await cache.match(key);
+    if (!hit) throw err;
+    return hit;
+  }
+}
+
+async function cacheFirst(request) {
+  const hit = await caches.match(request, { ignoreSearch: true });
+  if (hit) return hit;
+  const res = await fetch(request);
+  if (res.ok && res.status === 200) {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.put(request, res.clone());
+  }
+  return res;
+}
+
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  if (req.method !== "GET") return;
+  const url = new URL(req.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (url.pathname.startsWith("/assets/data/") && url.pathname.endsWith(".json")) {
+    event.respondWith(networkFirstData(req));
+  } else if (req.mode === "navigate" || url.pathname.endsWith(".html")) {
+    event.respondWith(networkFirstPage(req));
+  } else if (url.pathname.endsWith(".js") || url.pathname.endsWith(".css")) {
+    event.respondWith(networkFirstAsset(req));
+  } else if (SHELL.includes(url.pathname)) {
+    event.respondWith(cacheFirst(req));
+  }
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const hash = (event.notification.data && event.notification.data.hash) || "";
+
+  event.waitUntil((async () => {
+    const wins = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+    const win = wins.find(c => new URL(c.url).origin === self.location.origin);
+    if (win) {
+      await win.focus();
+      win.postMessage({ type: "netthud:open", hash });
+      return;
+    }
+    await self.clients.openWindow("/" + (hash ? "#" + hash : ""));
+  })());
+});